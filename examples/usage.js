@@ -10,6 +10,8 @@
 const { 
   initApacheAGE, 
   DataTypes, 
+  Vertex,
+  Edge,
   CypherFunctions,
   Relationships 
 } = require('../lib');
@@ -53,10 +55,10 @@ async function example2_dataTypes() {
 
   // Create a path
   const path = DataTypes.PATH.create(
-    [{ id: 1 }, { id: 2 }, { id: 3 }],
-    [{ id: 1, start: 1, end: 2 }, { id: 2, start: 2, end: 3 }]
+    [new Vertex(1, 'Person'), new Vertex(2, 'Person'), new Vertex(3, 'Person')],
+    [new Edge(4, 'KNOWS', 1, 2), new Edge(5, 'KNOWS', 2, 3)]
   );
-  console.log('Path:', path);
+  console.log('Path:', path, 'length:', path.length);
 }
 
 // Example 3: Building Cypher queries
@@ -2,40 +2,61 @@
  * Type definitions for sequelize-apache-age
  */
 
-import { Sequelize, QueryTypes, Transaction } from 'sequelize';
+import { Sequelize, QueryTypes, Transaction, AbstractDataType } from 'sequelize';
 
 // ============================================================================
 // Data Types
 // ============================================================================
 
-export class VERTEX {
-  type: 'VERTEX';
+/**
+ * Base of the graph data types; usable as a `sequelize.define` attribute type
+ * backed by an ag_catalog.agtype column
+ */
+declare abstract class AgeDataType implements AbstractDataType {
+  static key: string;
+  static types: { postgres: string[] };
+  key: string;
+  dialectTypes: string;
   toSql(): string;
-  static parse(value: string | object): any;
-  static create(label: string, properties?: object): VertexObject;
+  stringify(value: unknown, options?: object): string;
+  toString(options?: object): string;
+}
+
+export class VERTEX extends AgeDataType {
+  type: 'VERTEX';
+  static parse(value: string | object, options?: ParseOptions): any;
+  static create(label: string, properties?: object): Vertex;
 }
 
-export class EDGE {
+export class EDGE extends AgeDataType {
   type: 'EDGE';
-  toSql(): string;
-  static parse(value: string | object): any;
-  static create(label: string, startId: string | number, endId: string | number, properties?: object): EdgeObject;
+  static parse(value: string | object, options?: ParseOptions): any;
+  static create(label: string, startId: GraphId, endId: GraphId, properties?: object): Edge;
 }
 
-export class PATH {
+export class PATH extends AgeDataType {
   type: 'PATH';
-  toSql(): string;
-  static parse(value: string | object): any;
-  static create(vertices?: any[], edges?: any[]): PathObject;
+  static parse(value: string | object, options?: ParseOptions): any;
+  static create(vertices?: Vertex[], edges?: Edge[]): Path;
 }
 
-export class AGTYPE {
+export class AGTYPE extends AgeDataType {
   type: 'AGTYPE';
-  toSql(): string;
-  static parse(value: string): any;
+  static parse(value: string, options?: ParseOptions): any;
   static stringify(value: any): string;
 }
 
+export type GraphId = number | bigint | string;
+
+export interface ParseOptions {
+  idType?: 'number' | 'bigint' | 'string';
+}
+
+export class AgtypeParser {
+  constructor(text: string, options?: ParseOptions);
+  parse(): any;
+}
+
 export const DataTypes: {
   VERTEX: typeof VERTEX;
   EDGE: typeof EDGE;
@@ -43,25 +64,48 @@ export const DataTypes: {
   AGTYPE: typeof AGTYPE;
 };
 
-export interface VertexObject {
-  label: string;
-  properties: object;
-  _type: 'vertex';
-}
+/**
+ * Register the graph data types with the postgres dialect so agtype columns
+ * are parsed on read (called by initApacheAGE)
+ */
+export function registerDataTypes(sequelize: Sequelize, options?: { idType?: 'number' | 'bigint' | 'string' }): void;
 
-export interface EdgeObject {
+export class Vertex {
+  constructor(id: GraphId | null, label: string, properties?: Record<string, any>);
+  id: GraphId | null;
   label: string;
-  start_id: string | number;
-  end_id: string | number;
-  properties: object;
-  _type: 'edge';
+  properties: Record<string, any>;
+  equals(other: any): boolean;
+  toJSON(): { id: GraphId | null; label: string; properties: Record<string, any> };
 }
 
-export interface PathObject {
-  vertices: any[];
-  edges: any[];
-  _type: 'path';
-}
+export class Edge {
+  constructor(id: GraphId | null, label: string, startId: GraphId, endId: GraphId, properties?: Record<string, any>);
+  id: GraphId | null;
+  label: string;
+  startId: GraphId;
+  endId: GraphId;
+  properties: Record<string, any>;
+  equals(other: any): boolean;
+  toJSON(): { id: GraphId | null; label: string; startId: GraphId; endId: GraphId; properties: Record<string, any> };
+}
+
+export class Path {
+  constructor(elements?: Array<Vertex | Edge>);
+  elements: Array<Vertex | Edge>;
+  readonly length: number;
+  vertices(): Vertex[];
+  edges(): Edge[];
+  equals(other: any): boolean;
+  toJSON(): object[];
+}
+
+/** @deprecated Use Vertex */
+export type VertexObject = Vertex;
+/** @deprecated Use Edge */
+export type EdgeObject = Edge;
+/** @deprecated Use Path */
+export type PathObject = Path;
 
 // ============================================================================
 // Cypher Functions
@@ -73,10 +117,13 @@ export class CypherQueryBuilder {
   where(condition: string): this;
   create(pattern: string): this;
   merge(pattern: string): this;
+  onCreateSet(assignment: string): this;
+  onMatchSet(assignment: string): this;
   unwind(expression: string, alias: string): this;
   set(assignment: string): this;
   remove(target: string): this;
   delete(target: string): this;
+  detachDelete(target: string): this;
   return(expression: string): this;
   with(expression: string): this;
   orderBy(expression: string): this;
@@ -176,15 +223,18 @@ export const Relationships: {
 // ============================================================================
 
 export const GraphUtils: {
-  parseAGEResult(results: any[]): any[];
-  extractVertices(results: any[]): any[];
-  extractEdges(results: any[]): any[];
-  extractPaths(results: any[]): any[];
-  formatVertexId(id: string | number): string;
-  formatEdgeId(id: string | number): string;
+  parseAGEResult(results: any[], options?: ParseOptions): any[];
+  parseAGERows(rows: object[], options?: ParseOptions): any[];
+  extractVertices(results: any[]): Vertex[];
+  extractEdges(results: any[]): Edge[];
+  extractPaths(results: any[]): Path[];
+  resolveId(element: object | GraphId): string;
+  formatVertexId(id: GraphId): string;
+  formatEdgeId(id: GraphId): string;
   isValidGraphName(name: string): boolean;
   isValidLabel(label: string): boolean;
-  buildAGEQuery(graphName: string, cypherQuery: string): string;
+  getReturnColumns(cypherQuery: string): string[];
+  buildAGEQuery(graphName: string, cypherQuery: string, options?: { params?: boolean; columns?: string[] }): string;
   toAGEProperties(properties: object): string;
   fromAGEProperties(properties: string | object): object;
   generateVariableName(prefix?: string): string;
@@ -194,40 +244,319 @@ export const GraphUtils: {
 // Models
 // ============================================================================
 
+export interface ModelOptions {
+  graphName?: string;
+  type?: 'vertex' | 'edge';
+  idType?: 'number' | 'bigint' | 'string';
+  /** Reject properties without an attribute (default: true when attributes are defined) */
+  strict?: boolean;
+  /** Stamp createdAt/updatedAt */
+  timestamps?: boolean;
+  /** Soft delete by setting deletedAt */
+  paranoid?: boolean;
+  /** Rename (or disable with false) a timestamp attribute */
+  createdAt?: string | false;
+  updatedAt?: string | false;
+  deletedAt?: string;
+  /** Start vertex model (or label) of an edge model */
+  from?: GraphModel | string;
+  /** End vertex model (or label) of an edge model */
+  to?: GraphModel | string;
+  /** What a hard delete does to related elements, by edge label */
+  onDelete?: Record<string, DeleteAction | DeleteRule>;
+  /** Property findByPk matches instead of the AGE id */
+  primaryKey?: string;
+  /** Find options applied to every find, count, update and destroy */
+  defaultScope?: ModelFindOptions;
+  /** Named find options (or functions returning them) for Model.scope() */
+  scopes?: Record<string, ModelFindOptions | ((...args: any[]) => ModelFindOptions)>;
+  [option: string]: any;
+}
+
 export interface ModelFindOptions {
+  /** Property filters; values are bound as query parameters */
   where?: object;
-  order?: string | Array<[string, string]>;
+  /** Include soft-deleted elements of paranoid models when false */
+  paranoid?: boolean;
+  order?: string | Array<string | [string, 'ASC' | 'DESC' | 'asc' | 'desc']>;
   limit?: number;
   skip?: number;
   offset?: number;
+  /** Return plain Vertex/Edge objects instead of instances */
+  raw?: boolean;
+  /** Related vertices to load with each result (findAll/findOne) */
+  include?: Array<IncludeOptions | GraphModel | string> | IncludeOptions | string;
+  transaction?: any;
+}
+
+export interface IncludeOptions {
+  /** Association name or object; alternative to relationship/model */
+  association?: string | Association;
+  /** Edge label to follow from each result */
+  relationship?: string;
+  model?: GraphModel;
+  direction?: 'outgoing' | 'incoming' | 'both';
+  /** Name the vertices are attached under (default: pluralized model label) */
+  as?: string;
+  where?: object;
+  /** Only return results that have a matching related vertex */
+  required?: boolean;
+  paranoid?: boolean;
+}
+
+export interface PaginateOptions extends ModelFindOptions {
+  /** Cursor returned as nextCursor by the previous page */
+  after?: string | null;
+  /** Sort properties; id(n) is added as tie-breaker */
+  orderBy?: string | Array<string | [string, 'ASC' | 'DESC' | 'asc' | 'desc']>;
+  /** Page size (default 20) */
+  limit?: number;
+}
+
+export interface PaginateResult<T> {
+  rows: T[];
+  /** Cursor of the next page, null on the last page */
+  nextCursor: string | null;
+}
+
+export interface ModelUpdateOptions extends ModelFindOptions {
+  /** Don't touch updatedAt */
+  silent?: boolean;
+  /** Resolve to [count, updated entities] */
+  returning?: boolean;
+}
+
+export interface ModelDestroyOptions extends ModelFindOptions {
+  /** Hard delete elements of paranoid models */
+  force?: boolean;
+  /** DETACH DELETE, removing remaining edges */
+  detach?: boolean;
+  /** Alias of detach */
+  cascade?: boolean;
+  transaction?: any;
+}
+
+export type DeleteAction = 'cascade' | 'nullify' | 'restrict';
+
+export interface DeleteRule {
+  action: DeleteAction;
+  /** Default: outgoing for cascade, both otherwise */
+  direction?: 'outgoing' | 'incoming' | 'both';
+  /** Label of the vertex at the other end */
+  label?: string;
 }
 
 export interface ModelCreateOptions {
-  from?: string | number;
-  to?: string | number;
-  fromId?: string | number;
-  toId?: string | number;
+  from?: object | GraphId;
+  to?: object | GraphId;
+  fromId?: GraphId;
+  toId?: GraphId;
+  transaction?: any;
+}
+
+/** Edge endpoint matched by a key property instead of its id */
+export interface BulkEndpointMatch {
+  label?: string;
+  key?: string;
+}
+
+export interface UpsertOptions {
+  /** Properties identifying the element (optional for edge models) */
+  conflictKeys?: string[];
+  from?: object | GraphId;
+  to?: object | GraphId;
+  transaction?: any;
+  raw?: boolean;
+}
+
+export interface FindOrCreateOptions {
+  /** Plain equality values the element is found by */
+  where: Record<string, any>;
+  defaults?: object;
+  from?: object | GraphId;
+  to?: object | GraphId;
+  transaction?: any;
+  raw?: boolean;
+}
+
+export interface BulkCreateOptions {
+  /** Rows per UNWIND statement (default: 1000) */
+  chunkSize?: number;
+  from?: BulkEndpointMatch;
+  to?: BulkEndpointMatch;
+  transaction?: any;
+  raw?: boolean;
+}
+
+export interface BulkEdgeRow {
+  from: any;
+  to: any;
+  properties?: object;
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+export type AttributeType = 'string' | 'number' | 'integer' | 'boolean' | 'date' | 'array' | 'object' | 'any';
+
+export interface AttributeSpec {
+  type?: any;
+  allowNull?: boolean;
+  defaultValue?: any;
+  validate?: Record<string, any>;
+}
+
+export interface AttributeDefinition extends AttributeSpec {
+  type: AttributeType;
+  allowNull: boolean;
+  validate: Record<string, any>;
+}
+
+export interface ValidationErrorItem {
+  path: string;
+  message: string;
+  value: any;
+  validatorKey: string;
+}
+
+export class ValidationError extends Error {
+  constructor(errors?: ValidationErrorItem[]);
+  errors: ValidationErrorItem[];
+  get(path: string): ValidationErrorItem[];
+}
+
+export const Validation: {
+  normalizeAttributes(attributes?: Record<string, any>): Record<string, AttributeDefinition>;
+  resolveType(type: any, name: string): AttributeType;
+  validate(definitions: Record<string, AttributeDefinition>, values?: object, options?: { modelName?: string; isNewRecord?: boolean; strict?: boolean }): Promise<Record<string, any>>;
+  coerce(value: any, type: AttributeType): any;
+};
+
+export class GraphInstance {
+  constructor(model: GraphModel, values?: Record<string, any>, options?: { isNewRecord?: boolean; id?: GraphId; startId?: GraphId; endId?: GraphId });
+  static fromElement(model: GraphModel, element: Vertex | Edge): GraphInstance;
+  model: GraphModel;
+  label: string;
+  id: GraphId | null;
+  startId?: GraphId | null;
+  endId?: GraphId | null;
+  /** Endpoint vertices of edges loaded by findAll/findOne */
+  from?: GraphInstance | Vertex | null;
+  to?: GraphInstance | Vertex | null;
+  isNewRecord: boolean;
+  dataValues: Record<string, any>;
+  get(): Record<string, any>;
+  get(key: string): any;
+  set(key: string, value: any): this;
+  set(values: Record<string, any>): this;
+  changed(): string[] | false;
+  changed(key: string): boolean;
+  previous(): Record<string, any>;
+  previous(key: string): any;
+  save(options?: ModelCreateOptions & { silent?: boolean }): Promise<this>;
+  reload(options?: { transaction?: any }): Promise<this>;
+  destroy(options?: { force?: boolean; detach?: boolean }): Promise<void>;
+  restore(options?: { transaction?: any }): Promise<this>;
+  toJSON(): Record<string, any>;
+  [property: string]: any;
+}
+
+export type AssociationType = 'hasMany' | 'hasOne' | 'belongsTo' | 'belongsToMany';
+
+export interface AssociationOptions {
+  through: string | Relationship;
+  direction?: 'outgoing' | 'incoming' | 'both';
+  as?: string | { singular?: string; plural?: string };
 }
 
+export interface AssociationWriteOptions {
+  properties?: object;
+  transaction?: any;
+}
+
+export class Association {
+  constructor(associationType: AssociationType, source: GraphModel, target: GraphModel, options: AssociationOptions);
+  associationType: AssociationType;
+  source: GraphModel;
+  target: GraphModel;
+  type: string;
+  direction: 'outgoing' | 'incoming' | 'both';
+  cardinality: 'one-to-one' | 'one-to-many' | 'many-to-one' | 'many-to-many';
+  single: boolean;
+  exclusive: boolean;
+  as: string;
+  accessors: Record<string, string | string[]>;
+  get(instance: GraphInstance, options?: ModelFindOptions): Promise<GraphInstance[] | GraphInstance | null>;
+  count(instance: GraphInstance, options?: ModelFindOptions): Promise<number>;
+  has(instance: GraphInstance, targets: GraphInstance | GraphId | Array<GraphInstance | GraphId>, options?: ModelFindOptions): Promise<boolean>;
+  add(instance: GraphInstance, targets: GraphInstance | GraphId | Array<GraphInstance | GraphId>, options?: AssociationWriteOptions): Promise<void>;
+  remove(instance: GraphInstance, targets: GraphInstance | GraphId | Array<GraphInstance | GraphId>, options?: { transaction?: any }): Promise<void>;
+  set(instance: GraphInstance, targets: GraphInstance | GraphId | Array<GraphInstance | GraphId> | null, options?: AssociationWriteOptions): Promise<void>;
+  create(instance: GraphInstance, values?: object, options?: AssociationWriteOptions): Promise<GraphInstance>;
+}
+
+export type HookType =
+  | 'beforeValidate' | 'afterValidate'
+  | 'beforeCreate' | 'afterCreate'
+  | 'beforeBulkCreate' | 'afterBulkCreate'
+  | 'beforeUpdate' | 'afterUpdate'
+  | 'beforeDelete' | 'afterDelete'
+  | 'beforeFind' | 'afterFind';
+
+export type HookFunction = (data: any, model: GraphModel) => void | Promise<void>;
+
 export class GraphModel {
-  constructor(sequelize: Sequelize, label: string, attributes?: object, options?: any);
+  constructor(sequelize: Sequelize, label: string, attributes?: object, options?: ModelOptions);
   sequelize: Sequelize;
   label: string;
   attributes: object;
-  options: any;
-  addHook(hookType: string, fn: Function): void;
-  create(properties: object, options?: ModelCreateOptions): Promise<any>;
-  findAll(options?: ModelFindOptions): Promise<any[]>;
-  findOne(options?: ModelFindOptions): Promise<any | null>;
-  findByPk(id: string | number): Promise<any | null>;
-  update(properties: object, options?: ModelFindOptions): Promise<number>;
-  destroy(options?: ModelFindOptions): Promise<number>;
+  attributeDefinitions: Record<string, AttributeDefinition>;
+  options: ModelOptions;
+  timestampAttributes: { createdAt: string | null; updatedAt: string | null; deletedAt: string | null };
+  /** Property findByPk matches, null when it matches id() */
+  primaryKey: string | null;
+  endpoints: { from: { label: string; model: GraphModel | null } | null; to: { label: string; model: GraphModel | null } | null };
+  associations: Record<string, Association>;
+  Instance: typeof GraphInstance;
+  hasMany(target: GraphModel, options: AssociationOptions): Association;
+  hasOne(target: GraphModel, options: AssociationOptions): Association;
+  belongsTo(target: GraphModel, options: AssociationOptions): Association;
+  belongsToMany(target: GraphModel, options: AssociationOptions): Association;
+  scopes: Record<string, ModelFindOptions | ((...args: any[]) => ModelFindOptions)>;
+  addScope(name: string, scope: ModelFindOptions | ((...args: any[]) => ModelFindOptions), options?: { override?: boolean }): void;
+  scope(...scopes: Array<string | ModelFindOptions | { method: string | [string, ...any[]] } | null | undefined>): this;
+  unscoped(): this;
+  hooks: Record<HookType, HookFunction[]>;
+  addHook(hookType: HookType, fn: HookFunction): void;
+  executeHooks(hookType: HookType, data: any): Promise<void>;
+  build(values?: Record<string, any>): GraphInstance;
+  create(properties: object, options?: ModelCreateOptions & { raw?: false }): Promise<GraphInstance>;
+  create(properties: object, options: ModelCreateOptions & { raw: true }): Promise<Vertex | Edge>;
+  bulkCreate(rows: Array<object | BulkEdgeRow>, options?: BulkCreateOptions & { raw?: false }): Promise<GraphInstance[]>;
+  bulkCreate(rows: Array<object | BulkEdgeRow>, options: BulkCreateOptions & { raw: true }): Promise<Array<Vertex | Edge>>;
+  upsert(properties: object, options?: UpsertOptions & { raw?: false }): Promise<[GraphInstance, boolean]>;
+  upsert(properties: object, options: UpsertOptions & { raw: true }): Promise<[Vertex | Edge, boolean]>;
+  findOrCreate(options: FindOrCreateOptions & { raw?: false }): Promise<[GraphInstance, boolean]>;
+  findOrCreate(options: FindOrCreateOptions & { raw: true }): Promise<[Vertex | Edge, boolean]>;
+  findAll(options?: ModelFindOptions): Promise<GraphInstance[]>;
+  findOne(options?: ModelFindOptions): Promise<GraphInstance | null>;
+  findAndCountAll(options?: ModelFindOptions): Promise<{ rows: GraphInstance[]; count: number }>;
+  paginate(options?: PaginateOptions): Promise<PaginateResult<GraphInstance>>;
+  findByPk(id: GraphId, options?: ModelFindOptions): Promise<GraphInstance | null>;
+  update(properties: object, options?: ModelUpdateOptions & { returning?: false }): Promise<number>;
+  update(properties: object, options: ModelUpdateOptions & { returning: true }): Promise<[number, GraphInstance[]]>;
+  destroy(options?: ModelDestroyOptions): Promise<number>;
+  restore(options?: ModelFindOptions): Promise<void>;
   count(options?: ModelFindOptions): Promise<number>;
 }
 
 export class ModelRegistry {
-  constructor(sequelize: Sequelize, defaultGraphName?: string);
-  define(label: string, attributes?: object, options?: any): GraphModel;
+  constructor(sequelize: Sequelize, defaultGraphName?: string, defaultOptions?: object);
+  hooks: Record<HookType, HookFunction[]>;
+  /** Add a hook run for every model of the registry */
+  addHook(hookType: HookType, fn: HookFunction): void;
+  define(label: string, attributes?: object, options?: ModelOptions): GraphModel;
   get(label: string): GraphModel | undefined;
   has(label: string): boolean;
   getAll(): Map<string, GraphModel>;
@@ -238,21 +567,21 @@ export class ModelRegistry {
 // ============================================================================
 
 export class GraphTransaction {
-  constructor(sequelizeTransaction: Transaction, graphName: string);
+  constructor(sequelizeTransaction: Transaction, graphName: string, options?: ParseOptions);
   transaction: Transaction;
   graphName: string;
   executeCypher(cypherQuery: string, options?: any): Promise<any[]>;
   createVertex(label: string, properties?: object): Promise<any>;
-  createEdge(label: string, fromId: string | number, toId: string | number, properties?: object): Promise<any>;
+  createEdge(label: string, from: object | string | number, to: object | string | number, properties?: object): Promise<any>;
   update(pattern: string, properties: object, whereClause?: string): Promise<any[]>;
-  delete(pattern: string, whereClause?: string): Promise<void>;
+  delete(pattern: string, whereClause?: string, options?: { detach?: boolean }): Promise<void>;
   commit(): Promise<void>;
   rollback(): Promise<void>;
   getInfo(): any;
 }
 
 export class TransactionManager {
-  constructor(sequelize: Sequelize, graphName?: string);
+  constructor(sequelize: Sequelize, graphName?: string, options?: ParseOptions);
   startTransaction(options?: any): Promise<GraphTransaction>;
   withTransaction(callback: (transaction: GraphTransaction) => Promise<any>, options?: any): Promise<any>;
   executeAtomic(operations: Array<(transaction: GraphTransaction) => Promise<any>>, options?: any): Promise<any[]>;
@@ -261,6 +590,36 @@ export class TransactionManager {
   releaseSavepoint(transaction: GraphTransaction, savepointName: string): Promise<void>;
 }
 
+// ============================================================================
+// Setup
+// ============================================================================
+
+export interface SetupReport {
+  graphName: string;
+  extensionCreated: boolean;
+  extensionLoaded: boolean;
+  searchPath: string | null;
+  graphCreated: boolean;
+}
+
+export interface SetupOptions {
+  searchPath?: string;
+  skipLoad?: boolean;
+}
+
+export class SetupManager {
+  constructor(sequelize: Sequelize, graphName?: string, options?: SetupOptions);
+  sequelize: Sequelize;
+  graphName: string;
+  options: SetupOptions;
+  sessionStatements(): string[];
+  prepareConnection(connection: any): Promise<void>;
+  registerConnectionHooks(): this;
+  unregisterConnectionHooks(): this;
+  bootstrap(options?: { createGraph?: boolean }): Promise<SetupReport>;
+  graphExists(): Promise<boolean>;
+}
+
 // ============================================================================
 // Optimization
 // ============================================================================
@@ -295,6 +654,8 @@ export class IndexManager {
   constructor(sequelize: Sequelize, graphName: string);
   createIndex(label: string, property: string): Promise<void>;
   dropIndex(label: string, property: string): Promise<void>;
+  /** CREATE INDEX statement for the model's primaryKey property, null without one */
+  primaryKeyIndex(model: GraphModel): string | null;
   listIndexes(): Promise<any[]>;
 }
 
@@ -360,6 +721,10 @@ export class SchemaBuilder {
 export interface ApacheAGEOptions {
   graphName?: string;
   autoCreateGraph?: boolean;
+  searchPath?: string;
+  sessionSetup?: boolean;
+  skipLoad?: boolean;
+  idType?: 'number' | 'bigint' | 'string';
   cacheOptions?: {
     maxSize?: number;
     ttl?: number;
@@ -381,17 +746,24 @@ export interface ApacheAGEPlugin {
     cache: QueryCache;
     monitor: PerformanceMonitor;
   };
+  setup: SetupManager;
   migrations: MigrationManager;
   schema: SchemaBuilder;
-  executeCypher(cypherQuery: string, params?: object): Promise<any[]>;
+  init(): Promise<SetupReport>;
+  ready(): Promise<SetupReport>;
+  executeCypher(cypherQuery: string, params?: object, options?: any): Promise<any[]>;
   createVertex(label: string, properties?: object): Promise<any>;
-  createEdge(label: string, fromVertex: any, toVertex: any, properties?: object): Promise<any>;
+  createEdge(label: string, fromVertex: object | string | number, toVertex: object | string | number, properties?: object): Promise<any>;
 }
 
 export function initApacheAGE(sequelize: Sequelize, options?: ApacheAGEOptions): ApacheAGEPlugin;
 
 // Export all classes and interfaces
 export {
+  AgtypeParser,
+  Vertex,
+  Edge,
+  Path,
   VERTEX,
   EDGE,
   PATH,
@@ -399,9 +771,13 @@ export {
   CypherQueryBuilder,
   Relationship,
   GraphModel,
+  GraphInstance,
+  Association,
+  ValidationError,
   ModelRegistry,
   GraphTransaction,
   TransactionManager,
+  SetupManager,
   QueryAnalyzer,
   QueryOptimizer,
   IndexManager,
@@ -0,0 +1,402 @@
+/**
+ * Apache AGE Model Associations
+ *
+ * Sequelize-style hasMany, hasOne, belongsTo and belongsToMany between graph
+ * models. Associations are stored as edges; each one adds accessor methods
+ * (getPosts, addPost, ...) to the instances of the source model.
+ */
+
+const { Utils } = require('sequelize');
+const { CypherFunctions } = require('../functions');
+const { GraphUtils } = require('../utils');
+const { Relationships, Relationship } = require('../relationships');
+
+// Default direction and cardinality ('source-to-target') by association type
+const ASSOCIATION_TYPES = {
+  hasMany: { direction: 'outgoing', cardinality: 'one-to-many' },
+  hasOne: { direction: 'outgoing', cardinality: 'one-to-one' },
+  belongsTo: { direction: 'incoming', cardinality: 'many-to-one' },
+  belongsToMany: { direction: 'outgoing', cardinality: 'many-to-many' }
+};
+
+const CARDINALITIES = ['one-to-one', 'one-to-many', 'many-to-one', 'many-to-many'];
+
+/**
+ * Upper-case the first character of a name
+ * @param {string} name - Name
+ * @returns {string} Capitalized name
+ */
+function capitalize(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * An association between two vertex models, stored as edges
+ *
+ * The cardinality is read from the source: `one-to-many` (hasMany) lets a
+ * source have many targets and a target one source, so adding a target
+ * moves it away from its previous source.
+ */
+class Association {
+  /**
+   * Create an association and add its accessors to the source instances
+   * @param {string} associationType - hasMany, hasOne, belongsTo or belongsToMany
+   * @param {GraphModel} source - Model the accessors are added to
+   * @param {GraphModel} target - Associated model
+   * @param {Object} options - Association options
+   * @param {string|Relationship} options.through - Edge label, or a Relationship
+   *   whose direction and cardinality are used
+   * @param {string} options.direction - outgoing, incoming or both
+   * @param {string|Object} options.as - Accessor name, or { singular, plural }
+   */
+  constructor(associationType, source, target, options = {}) {
+    const defaults = ASSOCIATION_TYPES[associationType];
+    if (!defaults) {
+      throw new Error(`Unknown association type: ${associationType}`);
+    }
+    [source, target].forEach(model => {
+      if (!model || !model.options || model.options.type !== 'vertex') {
+        throw new Error(`${associationType} requires vertex models`);
+      }
+    });
+
+    const relationship = options.through instanceof Relationship ? options.through : null;
+    const type = relationship ? relationship.type : options.through;
+    if (typeof type !== 'string' || !GraphUtils.isValidLabel(type)) {
+      throw new Error(`${source.label}.${associationType}(${target.label}) requires an edge label in "through"`);
+    }
+
+    this.associationType = associationType;
+    this.source = source;
+    this.target = target;
+    this.type = type;
+    this.direction = options.direction || (relationship && relationship.options.direction) || defaults.direction;
+    this.cardinality = (relationship && relationship.options.cardinality) || defaults.cardinality;
+
+    if (!['outgoing', 'incoming', 'both'].includes(this.direction)) {
+      throw new Error(`Invalid association direction: ${this.direction}`);
+    }
+    if (!CARDINALITIES.includes(this.cardinality)) {
+      throw new Error(`Invalid association cardinality: ${this.cardinality}`);
+    }
+    if (this.cardinality.endsWith('-to-one') !== defaults.cardinality.endsWith('-to-one')) {
+      throw new Error(`${associationType} can't use a ${this.cardinality} relationship`);
+    }
+
+    // A single target per source / a single source per target
+    this.single = this.cardinality.endsWith('-to-one');
+    this.exclusive = this.cardinality.startsWith('one-to');
+
+    this.relationship = Relationships.define(type, { direction: this.direction });
+    this.writeRelationship = Relationships.define(type, {
+      direction: this.direction === 'incoming' ? 'incoming' : 'outgoing'
+    });
+
+    const as = options.as || {};
+    const singular = typeof as === 'string'
+      ? (this.single ? as : Utils.singularize(as))
+      : as.singular || (as.plural && Utils.singularize(as.plural)) || target.label;
+    const plural = typeof as === 'string'
+      ? (this.single ? Utils.pluralize(as) : as)
+      : as.plural || Utils.pluralize(singular);
+    this.as = this.single ? singular : plural;
+
+    this.accessors = this._accessorNames(capitalize(singular), capitalize(plural));
+    this._register();
+  }
+
+  /**
+   * Accessor method names, by association method
+   * @param {string} singular - Capitalized singular name
+   * @param {string} plural - Capitalized plural name
+   * @returns {Object} Accessor name by method
+   */
+  _accessorNames(singular, plural) {
+    if (this.single) {
+      return {
+        get: `get${singular}`,
+        set: `set${singular}`,
+        create: `create${singular}`
+      };
+    }
+
+    return {
+      get: `get${plural}`,
+      count: `count${plural}`,
+      has: [`has${singular}`, `has${plural}`],
+      set: `set${plural}`,
+      add: [`add${singular}`, `add${plural}`],
+      remove: [`remove${singular}`, `remove${plural}`],
+      create: `create${singular}`
+    };
+  }
+
+  /**
+   * Add the association to the source model and its accessors to the instances
+   */
+  _register() {
+    if (this.source.associations[this.as]) {
+      throw new Error(`${this.source.label} already has an association named ${this.as}`);
+    }
+
+    const prototype = this.source.Instance.prototype;
+    const association = this;
+
+    Object.entries(this.accessors).forEach(([method, names]) => {
+      [].concat(names).forEach(name => {
+        if (name in prototype) {
+          throw new Error(`Accessor ${name} of ${this.source.label}.${this.as} collides with an existing property`);
+        }
+        prototype[name] = function (...args) {
+          return association[method](this, ...args);
+        };
+      });
+    });
+
+    this.source.associations[this.as] = this;
+  }
+
+  /**
+   * Get the associated elements
+   * @param {GraphInstance} instance - Source instance
+   * @param {Object} options - Find options (where, order, limit, offset, raw)
+   * @returns {Promise<Array|GraphInstance|null>} Targets, or one target for single associations
+   */
+  async get(instance, options = {}) {
+    const match = {
+      pattern: this._pattern(),
+      conditions: [`id(s) = ${this._sourceId(instance)}`]
+    };
+    const scoped = this.target._injectScope(options);
+    const found = await this.target._runFind(this.single ? { ...scoped, limit: 1 } : scoped, async findOptions => {
+      const params = {};
+      const cypherQuery = this.target._buildFindQuery(findOptions, params, match);
+      const results = await this.target._execute(cypherQuery, params, findOptions);
+
+      return this.target._parseResults(results, findOptions);
+    });
+
+    return this.single ? found[0] || null : found;
+  }
+
+  /**
+   * Count the associated elements
+   * @param {GraphInstance} instance - Source instance
+   * @param {Object} options - Options (where)
+   * @returns {Promise<number>} Count
+   */
+  async count(instance, options = {}) {
+    return this._count(instance, options, []);
+  }
+
+  /**
+   * Check whether elements are associated
+   * @param {GraphInstance} instance - Source instance
+   * @param {*} targets - Target instance/id, or an array of them
+   * @param {Object} options - Query options
+   * @returns {Promise<boolean>} True if every target is associated
+   */
+  async has(instance, targets, options = {}) {
+    const ids = this._targetIds(targets);
+    if (ids.length === 0) {
+      return true;
+    }
+
+    const count = await this._count(instance, options, [`id(n) IN [${ids.join(', ')}]`]);
+    return count === ids.length;
+  }
+
+  /**
+   * Associate elements, keeping existing edges
+   *
+   * With a one-to-* cardinality, the targets' edges from other sources are
+   * removed first.
+   *
+   * @param {GraphInstance} instance - Source instance
+   * @param {*} targets - Target instance/id, or an array of them
+   * @param {Object} options - Options
+   * @param {Object} options.properties - Edge properties
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<void>}
+   */
+  async add(instance, targets, options = {}) {
+    const sourceId = this._sourceId(instance);
+    const ids = this._targetIds(targets);
+    if (ids.length === 0) {
+      return;
+    }
+    if (this.single && ids.length > 1) {
+      throw new Error(`${this.source.label}.${this.as} takes a single ${this.target.label}`);
+    }
+
+    await this._transaction(options, async queryOptions => {
+      if (this.exclusive) {
+        const cypherQuery = CypherFunctions.queryBuilder()
+          .match(this.writeRelationship.toCypherPattern(`o:${this.source.label}`, `n:${this.target.label}`, 'r'))
+          .where(`id(n) IN [${ids.join(', ')}] AND id(o) <> ${sourceId}`)
+          .delete('r')
+          .build();
+        await this.source._execute(cypherQuery, {}, queryOptions);
+      }
+
+      const params = {};
+      const builder = CypherFunctions.queryBuilder()
+        .match(`(s:${this.source.label}), (n:${this.target.label})`)
+        .where(`id(s) = ${sourceId} AND id(n) IN [${ids.join(', ')}]`)
+        .merge(this.writeRelationship.toCypherPattern('s', 'n', 'r'));
+      this.source._bindAssignments('r', options.properties || {}, params)
+        .forEach(assignment => builder.set(assignment));
+      await this.source._execute(builder.build(), params, queryOptions);
+    });
+  }
+
+  /**
+   * Remove the edges to the given elements
+   * @param {GraphInstance} instance - Source instance
+   * @param {*} targets - Target instance/id, or an array of them
+   * @param {Object} options - Query options
+   * @returns {Promise<void>}
+   */
+  async remove(instance, targets, options = {}) {
+    const ids = this._targetIds(targets);
+    if (ids.length === 0) {
+      return;
+    }
+    await this._removeEdges(instance, `id(n) IN [${ids.join(', ')}]`, options);
+  }
+
+  /**
+   * Replace the associated elements
+   * @param {GraphInstance} instance - Source instance
+   * @param {*} targets - Target instance/id, an array of them, or null to clear
+   * @param {Object} options - Options (properties, transaction)
+   * @returns {Promise<void>}
+   */
+  async set(instance, targets, options = {}) {
+    const ids = this._targetIds(targets);
+    if (this.single && ids.length > 1) {
+      throw new Error(`${this.source.label}.${this.as} takes a single ${this.target.label}`);
+    }
+
+    await this._transaction(options, async queryOptions => {
+      const keep = ids.length > 0 ? `NOT id(n) IN [${ids.join(', ')}]` : null;
+      await this._removeEdges(instance, keep, queryOptions);
+      await this.add(instance, ids, { ...options, ...queryOptions });
+    });
+  }
+
+  /**
+   * Create a target element and associate it
+   * @param {GraphInstance} instance - Source instance
+   * @param {Object} values - Target properties
+   * @param {Object} options - Options (properties for the edge, transaction)
+   * @returns {Promise<GraphInstance>} Created target
+   */
+  async create(instance, values = {}, options = {}) {
+    this._sourceId(instance);
+
+    return this._transaction(options, async queryOptions => {
+      const created = await this.target.create(values, queryOptions);
+      if (this.single) {
+        await this.set(instance, created, { ...options, ...queryOptions });
+      } else {
+        await this.add(instance, created, { ...options, ...queryOptions });
+      }
+      return created;
+    });
+  }
+
+  /**
+   * Pattern binding the source as `s`, the edge as `r` and targets as `n`
+   * @returns {string} MATCH pattern
+   */
+  _pattern() {
+    return this.relationship.toCypherPattern(`s:${this.source.label}`, `n:${this.target.label}`, 'r');
+  }
+
+  /**
+   * Count associated elements matching extra conditions
+   * @param {GraphInstance} instance - Source instance
+   * @param {Object} options - Options (where)
+   * @param {Array<string>} conditions - Extra conditions on `n`
+   * @returns {Promise<number>} Count
+   */
+  async _count(instance, options, conditions) {
+    options = this.target._injectScope(options);
+    const params = {};
+    const builder = CypherFunctions.queryBuilder().match(this._pattern());
+    this.target._applyWhere(builder, options, 'n', params, [`id(s) = ${this._sourceId(instance)}`, ...conditions]);
+    builder.return('count(DISTINCT n) AS count');
+
+    const results = await this.target._execute(builder.build(), params, options);
+    return this.target._parseCount(results);
+  }
+
+  /**
+   * Delete the source's edges to targets matching a condition
+   * @param {GraphInstance} instance - Source instance
+   * @param {string|null} condition - Condition on `n`, or null for all edges
+   * @param {Object} options - Query options
+   * @returns {Promise<void>}
+   */
+  async _removeEdges(instance, condition, options) {
+    const conditions = [`id(s) = ${this._sourceId(instance)}`];
+    if (condition) {
+      conditions.push(condition);
+    }
+
+    const cypherQuery = CypherFunctions.queryBuilder()
+      .match(this._pattern())
+      .where(conditions.join(' AND '))
+      .delete('r')
+      .build();
+    await this.source._execute(cypherQuery, {}, options);
+  }
+
+  /**
+   * Run statements in `options.transaction`, or a new transaction
+   * @param {Object} options - Options (transaction)
+   * @param {Function} callback - (queryOptions) => Promise
+   * @returns {Promise<*>} Callback result
+   */
+  async _transaction(options, callback) {
+    if (options.transaction) {
+      return callback({ transaction: options.transaction });
+    }
+    return this.source.sequelize.transaction(transaction => callback({ transaction }));
+  }
+
+  /**
+   * Resolve the id of a saved source instance
+   * @param {GraphInstance} instance - Source instance
+   * @returns {string} Validated id
+   */
+  _sourceId(instance) {
+    if (!instance || instance.isNewRecord) {
+      throw new Error(`${this.source.label} has not been saved yet`);
+    }
+    return GraphUtils.resolveId(instance);
+  }
+
+  /**
+   * Resolve target ids, checking the label of vertices and instances
+   * @param {*} targets - Target instance/id, an array of them, or null
+   * @returns {Array<string>} Unique validated ids
+   */
+  _targetIds(targets) {
+    const list = targets === undefined || targets === null ? [] : [].concat(targets);
+
+    const ids = list.map(target => {
+      if (target !== null && typeof target === 'object' && target.label && target.label !== this.target.label) {
+        throw new Error(`${this.source.label}.${this.as} expects ${this.target.label} elements, got ${target.label}`);
+      }
+      return GraphUtils.resolveId(target);
+    });
+
+    return [...new Set(ids)];
+  }
+}
+
+module.exports = {
+  Association
+};
@@ -16,9 +16,12 @@ class CypherQueryBuilder {
       where: [],
       create: [],
       merge: [],
+      onCreateSet: [],
+      onMatchSet: [],
       unwind: [],
       set: [],
       delete: [],
+      detach: false,
       remove: [],
       return: [],
       with: [],
@@ -80,6 +83,17 @@ class CypherQueryBuilder {
     return this;
   }
 
+  /**
+   * Add DETACH DELETE clause, removing the relationships of deleted vertices
+   * @param {string} target - Target to delete
+   * @returns {CypherQueryBuilder} this
+   */
+  detachDelete(target) {
+    this.queryParts.delete.push(target);
+    this.queryParts.detach = true;
+    return this;
+  }
+
   /**
    * Add RETURN clause
    * @param {string} expression - Expression to return
@@ -150,6 +164,26 @@ class CypherQueryBuilder {
     return this;
   }
 
+  /**
+   * Add ON CREATE SET assignment for MERGE
+   * @param {string} assignment - Property assignment applied when MERGE creates
+   * @returns {CypherQueryBuilder} this
+   */
+  onCreateSet(assignment) {
+    this.queryParts.onCreateSet.push(assignment);
+    return this;
+  }
+
+  /**
+   * Add ON MATCH SET assignment for MERGE
+   * @param {string} assignment - Property assignment applied when MERGE matches
+   * @returns {CypherQueryBuilder} this
+   */
+  onMatchSet(assignment) {
+    this.queryParts.onMatchSet.push(assignment);
+    return this;
+  }
+
   /**
    * Add UNWIND clause
    * @param {string} expression - Expression to unwind
@@ -211,11 +245,24 @@ class CypherQueryBuilder {
       parts.push(`MATCH ${this.queryParts.match.join(', ')}`);
     }
 
+    // WHERE (must directly follow the MATCH it filters, or the OPTIONAL
+    // MATCH when there is no MATCH)
+    const whereClause = this.queryParts.where.length > 0
+      ? `WHERE ${this.queryParts.where.join(' AND ')}`
+      : null;
+    const filtersOptional = this.queryParts.match.length === 0 && this.queryParts.optionalMatch.length > 0;
+    if (whereClause && !filtersOptional) {
+      parts.push(whereClause);
+    }
+
     // OPTIONAL MATCH
     if (this.queryParts.optionalMatch.length > 0) {
       this.queryParts.optionalMatch.forEach(pattern => {
         parts.push(`OPTIONAL MATCH ${pattern}`);
       });
+      if (whereClause && filtersOptional) {
+        parts.push(whereClause);
+      }
     }
 
     // MERGE
@@ -225,16 +272,19 @@ class CypherQueryBuilder {
       });
     }
 
+    // ON CREATE SET / ON MATCH SET (apply to the last MERGE)
+    if (this.queryParts.onCreateSet.length > 0) {
+      parts.push(`ON CREATE SET ${this.queryParts.onCreateSet.join(', ')}`);
+    }
+    if (this.queryParts.onMatchSet.length > 0) {
+      parts.push(`ON MATCH SET ${this.queryParts.onMatchSet.join(', ')}`);
+    }
+
     // CREATE
     if (this.queryParts.create.length > 0) {
       parts.push(`CREATE ${this.queryParts.create.join(', ')}`);
     }
 
-    // WHERE
-    if (this.queryParts.where.length > 0) {
-      parts.push(`WHERE ${this.queryParts.where.join(' AND ')}`);
-    }
-
     // WITH
     if (this.queryParts.with.length > 0) {
       parts.push(`WITH ${this.queryParts.with.join(', ')}`);
@@ -252,7 +302,8 @@ class CypherQueryBuilder {
 
     // DELETE
     if (this.queryParts.delete.length > 0) {
-      parts.push(`DELETE ${this.queryParts.delete.join(', ')}`);
+      const keyword = this.queryParts.detach ? 'DETACH DELETE' : 'DELETE';
+      parts.push(`${keyword} ${this.queryParts.delete.join(', ')}`);
     }
 
     // RETURN
@@ -5,14 +5,33 @@
  * Provides cypher functions, graph objects (vertex, edge, path), and relationship utilities
  */
 
-const { DataTypes } = require('./types');
+const { DataTypes, registerDataTypes, hasAgtypeParser, VERTEX, EDGE, AGTYPE, Vertex, Edge, Path } = require('./types');
 const { CypherFunctions } = require('./functions');
 const { Relationships } = require('./relationships');
 const { GraphUtils } = require('./utils');
 const { ModelRegistry, GraphModel } = require('./models');
+const { GraphInstance } = require('./instance');
+const { Association } = require('./associations');
+const { Validation, ValidationError } = require('./validation');
 const { TransactionManager, GraphTransaction } = require('./transaction');
+const { SetupManager } = require('./setup');
 const { QueryAnalyzer, QueryOptimizer, IndexManager, QueryCache, PerformanceMonitor } = require('./optimization');
 
+/**
+ * Build a property map whose values are bound as query parameters
+ * @param {Object} properties - Property values
+ * @param {Object} params - Parameter map the values are added to
+ * @returns {string} Map literal such as ` {`name`: $p0}`, or '' when empty
+ */
+function bindProperties(properties, params) {
+  const entries = Object.entries(properties || {}).map(([key, value]) => {
+    const name = `p${Object.keys(params).length}`;
+    params[name] = value;
+    return `${CypherFunctions.escapeName(key)}: $${name}`;
+  });
+  return entries.length > 0 ? ` {${entries.join(', ')}}` : '';
+}
+
 /**
  * Initialize the Apache AGE plugin for Sequelize
  * @param {Object} sequelize - Sequelize instance
@@ -23,27 +42,35 @@ function initApacheAGE(sequelize, options = {}) {
   const config = {
     graphName: options.graphName || 'default_graph',
     autoCreateGraph: options.autoCreateGraph !== false,
+    sessionSetup: options.sessionSetup !== false,
+    idType: options.idType || 'number',
     ...options
   };
 
+  // Parser options shared by models, transactions and raw queries
+  const parseOptions = { idType: config.idType };
+
+  // Make the graph data types usable in sequelize.define, parsed on read
+  registerDataTypes(sequelize, parseOptions);
+
   // Initialize model registry
-  const modelRegistry = new ModelRegistry(sequelize, config.graphName);
+  const modelRegistry = new ModelRegistry(sequelize, config.graphName, parseOptions);
 
   // Initialize transaction manager
-  const transactionManager = new TransactionManager(sequelize, config.graphName);
+  const transactionManager = new TransactionManager(sequelize, config.graphName, parseOptions);
 
   // Initialize optimization tools
   const indexManager = new IndexManager(sequelize, config.graphName);
   const queryCache = new QueryCache(config.cacheOptions);
   const performanceMonitor = new PerformanceMonitor();
 
-  // Initialize AGE extension if needed
-  if (config.autoCreateGraph) {
-    // This will be implemented to run:
-    // CREATE EXTENSION IF NOT EXISTS age;
-    // LOAD 'age';
-    // SET search_path = ag_catalog, "$user", public;
-    // SELECT create_graph('graph_name');
+  // Initialize database setup (extension, search path, graph)
+  const setupManager = new SetupManager(sequelize, config.graphName, config);
+  let readyPromise = null;
+
+  // Prepare every pooled connection (LOAD 'age', search_path)
+  if (config.sessionSetup) {
+    setupManager.registerConnectionHooks();
   }
 
   return {
@@ -61,16 +88,65 @@ function initApacheAGE(sequelize, options = {}) {
       cache: queryCache,
       monitor: performanceMonitor
     },
-    
+    setup: setupManager,
+
+    /**
+     * Prepare the database for graph operations: create and load the AGE
+     * extension, set the search path and create the graph when
+     * `autoCreateGraph` is enabled. Safe to run repeatedly.
+     * @returns {Promise<Object>} Report of the performed steps
+     */
+    async init() {
+      return setupManager.bootstrap({ createGraph: config.autoCreateGraph });
+    },
+
+    /**
+     * Run `init()` once and share its result with every caller
+     * @returns {Promise<Object>} Report of the performed steps
+     */
+    ready() {
+      if (!readyPromise) {
+        readyPromise = this.init().catch(error => {
+          readyPromise = null;
+          throw error;
+        });
+      }
+      return readyPromise;
+    },
+
+
     /**
      * Execute a cypher query
+     *
+     * Parameters are referenced in the query as `$name` and bound by AGE,
+     * never interpolated into the query text.
+     *
+     * Queries returning a single column resolve to that column's values;
+     * queries returning several columns (`RETURN a, r, b`) resolve to objects
+     * keyed by the Cypher alias.
+     *
      * @param {string} cypherQuery - The cypher query to execute
      * @param {Object} params - Query parameters
+     * @param {Object} options - Options passed to `sequelize.query` (e.g. transaction)
+     * @param {Array<string>} options.columns - Result column names, derived from RETURN by default
      * @returns {Promise<Array>} Query results
      */
-    async executeCypher(cypherQuery, params = {}) {
-      // Will be implemented to execute cypher queries via AGE
-      throw new Error('Not yet implemented');
+    async executeCypher(cypherQuery, params = {}, options = {}) {
+      const { columns, ...sequelizeOptions } = options;
+      const hasParams = params !== null && typeof params === 'object' && Object.keys(params).length > 0;
+      const query = GraphUtils.buildAGEQuery(config.graphName, cypherQuery, { params: hasParams, columns });
+
+      const queryOptions = {
+        ...sequelizeOptions,
+        type: sequelize.QueryTypes.SELECT
+      };
+      if (hasParams) {
+        queryOptions.bind = [AGTYPE.stringify(params)];
+      }
+
+      const results = await sequelize.query(query, queryOptions);
+
+      return GraphUtils.parseAGERows(results, { ...parseOptions, parsed: hasAgtypeParser(sequelize) });
     },
 
     /**
@@ -80,21 +156,46 @@ function initApacheAGE(sequelize, options = {}) {
      * @returns {Promise<Object>} Created vertex
      */
     async createVertex(label, properties = {}) {
-      // Will be implemented
-      throw new Error('Not yet implemented');
+      if (!GraphUtils.isValidLabel(label)) {
+        throw new Error(`Invalid vertex label: ${label}`);
+      }
+
+      const params = {};
+      const cypherQuery = CypherFunctions.queryBuilder()
+        .create(`(n:${label}${bindProperties(properties, params)})`)
+        .return('n')
+        .build();
+
+      const results = await this.executeCypher(cypherQuery, params);
+      return results.length > 0 ? VERTEX.parse(results[0]) : null;
     },
 
     /**
      * Create an edge between two vertices
      * @param {string} label - Edge label
-     * @param {Object} fromVertex - Source vertex
-     * @param {Object} toVertex - Target vertex
+     * @param {Object|string|number} fromVertex - Source vertex or its graph id
+     * @param {Object|string|number} toVertex - Target vertex or its graph id
      * @param {Object} properties - Edge properties
      * @returns {Promise<Object>} Created edge
      */
     async createEdge(label, fromVertex, toVertex, properties = {}) {
-      // Will be implemented
-      throw new Error('Not yet implemented');
+      if (!GraphUtils.isValidLabel(label)) {
+        throw new Error(`Invalid edge label: ${label}`);
+      }
+
+      const fromId = GraphUtils.resolveId(fromVertex);
+      const toId = GraphUtils.resolveId(toVertex);
+
+      const params = {};
+      const cypherQuery = CypherFunctions.queryBuilder()
+        .match('(a), (b)')
+        .where(`id(a) = ${fromId} AND id(b) = ${toId}`)
+        .create(`(a)-[r:${label}${bindProperties(properties, params)}]->(b)`)
+        .return('r')
+        .build();
+
+      const results = await this.executeCypher(cypherQuery, params);
+      return results.length > 0 ? EDGE.parse(results[0]) : null;
     }
   };
 }
@@ -102,13 +203,22 @@ function initApacheAGE(sequelize, options = {}) {
 module.exports = {
   initApacheAGE,
   DataTypes,
+  registerDataTypes,
+  Vertex,
+  Edge,
+  Path,
   CypherFunctions,
   Relationships,
   GraphUtils,
   GraphModel,
+  GraphInstance,
+  Association,
+  Validation,
+  ValidationError,
   ModelRegistry,
   TransactionManager,
   GraphTransaction,
+  SetupManager,
   QueryAnalyzer,
   QueryOptimizer,
   IndexManager,
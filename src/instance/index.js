@@ -0,0 +1,401 @@
+/**
+ * Apache AGE Model Instances
+ *
+ * Wraps the vertices/edges returned by GraphModel with Sequelize-like
+ * instance methods: get/set with change tracking, save, reload and destroy
+ */
+
+const { CypherFunctions } = require('../functions');
+const { GraphUtils } = require('../utils');
+const { Edge } = require('../types');
+
+// Instance fields that attribute accessors must not shadow
+const RESERVED_KEYS = new Set(['id', 'label', 'startId', 'endId', 'from', 'to', 'model', 'dataValues', 'isNewRecord']);
+
+/**
+ * Define a property accessor proxying to get/set
+ * @param {Object} target - Prototype or instance
+ * @param {string} key - Property name
+ */
+function defineAccessor(target, key) {
+  Object.defineProperty(target, key, {
+    get() {
+      return this.get(key);
+    },
+    set(value) {
+      this.set(key, value);
+    },
+    enumerable: false,
+    configurable: true
+  });
+}
+
+/**
+ * Check whether two property values are equal
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function valuesEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return false;
+}
+
+/**
+ * A vertex or edge of a GraphModel
+ */
+class GraphInstance {
+  /**
+   * Create an instance class for a model, with accessors for its attributes
+   * @param {GraphModel} model - Model
+   * @returns {Function} GraphInstance subclass
+   */
+  static define(model) {
+    const Instance = class extends GraphInstance {};
+    Object.defineProperty(Instance, 'name', { value: model.label });
+
+    Object.keys(model.attributeDefinitions || model.attributes || {}).forEach(key => {
+      if (!RESERVED_KEYS.has(key) && !(key in GraphInstance.prototype)) {
+        defineAccessor(Instance.prototype, key);
+      }
+    });
+
+    return Instance;
+  }
+
+  /**
+   * Create an instance
+   * @param {GraphModel} model - Model the instance belongs to
+   * @param {Object} values - Property values
+   * @param {Object} options - Instance options
+   * @param {boolean} options.isNewRecord - False for elements loaded from the graph
+   * @param {string|number|bigint} options.id - Graph id
+   * @param {string|number|bigint} options.startId - Start vertex id (edges)
+   * @param {string|number|bigint} options.endId - End vertex id (edges)
+   */
+  constructor(model, values = {}, options = {}) {
+    this.model = model;
+    this.label = model.label;
+    this.id = options.id !== undefined ? options.id : null;
+    if (model.options.type === 'edge') {
+      this.startId = options.startId !== undefined ? options.startId : null;
+      this.endId = options.endId !== undefined ? options.endId : null;
+      // Endpoint vertices, set when loaded by findAll/findOne
+      this.from = null;
+      this.to = null;
+    }
+    this.isNewRecord = options.isNewRecord !== false;
+    this.dataValues = {};
+    // Related vertices loaded by an include, by name
+    this._included = {};
+    this._previousDataValues = {};
+    this._changed = new Set();
+
+    if (this.isNewRecord) {
+      this.set(values);
+    } else {
+      this._setPersisted(values);
+    }
+  }
+
+  /**
+   * Wrap an element returned by AGE
+   * @param {GraphModel} model - Model the element belongs to
+   * @param {Vertex|Edge} element - Parsed element
+   * @returns {GraphInstance} Instance
+   */
+  static fromElement(model, element) {
+    const options = { id: element.id, isNewRecord: false };
+    if (element instanceof Edge) {
+      options.startId = element.startId;
+      options.endId = element.endId;
+    }
+    return new model.Instance(model, element.properties, options);
+  }
+
+  /**
+   * Get a property value, or a copy of all values
+   * @param {string} key - Property name
+   * @returns {*} Value, or an object of all values
+   */
+  get(key) {
+    if (key === undefined) {
+      return { ...this.dataValues };
+    }
+    return this.dataValues[key];
+  }
+
+  /**
+   * Set a property value, or several values from an object
+   * @param {string|Object} key - Property name, or values object
+   * @param {*} value - Value
+   * @returns {GraphInstance} This instance
+   */
+  set(key, value) {
+    if (key !== null && typeof key === 'object') {
+      Object.entries(key).forEach(([name, val]) => this.set(name, val));
+      return this;
+    }
+
+    if (!(key in this)) {
+      defineAccessor(this, key);
+    }
+
+    this.dataValues[key] = value;
+    if (valuesEqual(value, this._previousDataValues[key])) {
+      this._changed.delete(key);
+    } else {
+      this._changed.add(key);
+    }
+
+    return this;
+  }
+
+  /**
+   * Check for unsaved changes
+   * @param {string} key - Property name
+   * @returns {boolean|Array<string>} Whether the key changed; without a key, the changed keys or false
+   */
+  changed(key) {
+    if (key !== undefined) {
+      return this._changed.has(key);
+    }
+    return this._changed.size > 0 ? [...this._changed] : false;
+  }
+
+  /**
+   * Get the value a property had when last loaded or saved
+   * @param {string} key - Property name
+   * @returns {*} Previous value, or an object of previous values of changed keys
+   */
+  previous(key) {
+    if (key !== undefined) {
+      return this._previousDataValues[key];
+    }
+
+    const previous = {};
+    this._changed.forEach(name => {
+      previous[name] = this._previousDataValues[name];
+    });
+    return previous;
+  }
+
+  /**
+   * Persist the instance
+   *
+   * New instances are created; loaded ones get a SET of the changed
+   * properties only, matched by id(). Properties set to null or undefined
+   * are removed.
+   *
+   * @param {Object} options - Save options: from/to for new edges, silent to keep updatedAt
+   * @returns {Promise<GraphInstance>} This instance
+   */
+  async save(options = {}) {
+    if (this.isNewRecord) {
+      const createOptions = { ...options, raw: true };
+      if (this.model.options.type === 'edge') {
+        createOptions.from = options.from !== undefined ? options.from : this.startId;
+        createOptions.to = options.to !== undefined ? options.to : this.endId;
+      }
+
+      const created = await this.model.create(this.get(), createOptions);
+      this._setElement(created);
+      return this;
+    }
+
+    const changed = this.changed();
+    if (!changed) {
+      return this;
+    }
+
+    const values = {};
+    changed.forEach(key => {
+      values[key] = this.dataValues[key] === undefined ? null : this.dataValues[key];
+    });
+    const properties = await this.model._validate(values);
+
+    const hookData = { properties, options, instance: this };
+    await this.model.executeHooks('beforeUpdate', hookData);
+
+    const params = {};
+    const builder = this._matchSelf();
+    const written = options.silent ? properties : { ...properties, ...this.model._timestampValues(properties, false) };
+    Object.entries(written).forEach(([key, value]) => {
+      const param = this.model._bindValue(params, value);
+      builder.set(`${this.model._propertyRef('n', key)} = ${param}`);
+    });
+    builder.return('n');
+
+    const results = await this.model._execute(builder.build(), params, options);
+    const element = this.model._parseResult(results, { raw: true });
+    if (!element) {
+      throw new Error(`${this.label} ${this.id} no longer exists`);
+    }
+    this._setElement(element);
+
+    await this.model.executeHooks('afterUpdate', hookData);
+
+    return this;
+  }
+
+  /**
+   * Reload the properties from the graph, discarding unsaved changes
+   *
+   * The model's find hooks run around the query, with `raw` set: afterFind
+   * gets the plain element in an array.
+   *
+   * @param {Object} options - Query options (transaction)
+   * @returns {Promise<GraphInstance>} This instance
+   */
+  async reload(options = {}) {
+    const [element] = await this.model._runFind({ ...options, raw: true }, async findOptions => {
+      const cypherQuery = this._matchSelf().return('n').build();
+      const results = await this.model._execute(cypherQuery, {}, findOptions);
+      return this.model._parseResults(results, { raw: true });
+    });
+    if (!element) {
+      throw new Error(`${this.label} ${this.id} no longer exists`);
+    }
+    this._setElement(element);
+
+    return this;
+  }
+
+  /**
+   * Delete the element from the graph
+   *
+   * Paranoid models set deletedAt instead, unless `force` is given. Hard
+   * deletes apply the model's onDelete rules; `detach` removes remaining edges.
+   *
+   * @param {Object} options - Delete options (force, detach), passed to the delete hooks
+   * @returns {Promise<void>}
+   */
+  async destroy(options = {}) {
+    const hookData = { ...options, instance: this };
+    await this.model.executeHooks('beforeDelete', hookData);
+
+    const { deletedAt: deletedAtValue } = await this.model._runDelete(() => this._matchSelf(), options);
+
+    if (deletedAtValue) {
+      const deletedAt = this.model.timestampAttributes.deletedAt;
+      this.dataValues[deletedAt] = this._previousDataValues[deletedAt] = deletedAtValue;
+      this._changed.delete(deletedAt);
+    }
+
+    await this.model.executeHooks('afterDelete', hookData);
+  }
+
+  /**
+   * Restore a soft-deleted element of a paranoid model
+   * @param {Object} options - Query options (transaction)
+   * @returns {Promise<GraphInstance>} This instance
+   */
+  async restore(options = {}) {
+    const deletedAt = this.model.timestampAttributes.deletedAt;
+    if (!deletedAt) {
+      throw new Error(`${this.label} is not paranoid`);
+    }
+
+    const cypherQuery = this._matchSelf()
+      .remove(this.model._propertyRef('n', deletedAt))
+      .build();
+    await this.model._execute(cypherQuery, {}, options);
+
+    delete this.dataValues[deletedAt];
+    delete this._previousDataValues[deletedAt];
+    this._changed.delete(deletedAt);
+
+    return this;
+  }
+
+  /**
+   * Plain object of the id and property values
+   * @returns {Object} JSON representation
+   */
+  toJSON() {
+    const json = { ...this.dataValues, ...this._included, id: this.id };
+    if (this.model.options.type === 'edge') {
+      json.startId = this.startId;
+      json.endId = this.endId;
+      if (this.from) {
+        json.from = this.from;
+      }
+      if (this.to) {
+        json.to = this.to;
+      }
+    }
+    return json;
+  }
+
+  /**
+   * Attach related vertices loaded by an include
+   * @param {string} name - Include name (e.g. Posts)
+   * @param {GraphInstance|Array<GraphInstance>|null} value - Included instances
+   */
+  _setIncluded(name, value) {
+    this._included[name] = value;
+    Object.defineProperty(this, name, {
+      get() {
+        return this._included[name];
+      },
+      set(newValue) {
+        this._included[name] = newValue;
+      },
+      enumerable: false,
+      configurable: true
+    });
+  }
+
+  /**
+   * Start a query matching this element by id()
+   * @returns {CypherQueryBuilder} Query builder
+   */
+  _matchSelf() {
+    if (this.isNewRecord) {
+      throw new Error(`${this.label} has not been saved yet`);
+    }
+
+    return CypherFunctions.queryBuilder()
+      .match(this.model._matchPattern('n'))
+      .where(`id(n) = ${GraphUtils.resolveId(this.id)}`);
+  }
+
+  /**
+   * Take over the id and properties of a saved element
+   * @param {Vertex|Edge} element - Element returned by AGE
+   */
+  _setElement(element) {
+    this.id = element.id;
+    if (element instanceof Edge) {
+      this.startId = element.startId;
+      this.endId = element.endId;
+    }
+    this.isNewRecord = false;
+    this._setPersisted(element.properties);
+  }
+
+  /**
+   * Replace the values with persisted ones and reset change tracking
+   * @param {Object} values - Property values
+   */
+  _setPersisted(values = {}) {
+    Object.keys(values).forEach(key => {
+      if (!(key in this)) {
+        defineAccessor(this, key);
+      }
+    });
+
+    this.dataValues = { ...values };
+    this._previousDataValues = { ...values };
+    this._changed = new Set();
+  }
+}
+
+module.exports = {
+  GraphInstance
+};
@@ -4,8 +4,91 @@
  * Provides Sequelize-like model definitions for graph entities
  */
 
+const { Utils } = require('sequelize');
 const { CypherFunctions } = require('../functions');
 const { GraphUtils } = require('../utils');
+const { AGTYPE, Vertex, Edge, hasAgtypeParser } = require('../types');
+const { GraphInstance } = require('../instance');
+const { Validation, ValidationError } = require('../validation');
+const { Relationships } = require('../relationships');
+const { Association } = require('../associations');
+
+// What happens to related elements when a vertex is hard-deleted
+const DELETE_ACTIONS = ['cascade', 'nullify', 'restrict'];
+
+// Lifecycle hooks models and the registry accept
+const HOOK_TYPES = [
+  'beforeValidate', 'afterValidate',
+  'beforeCreate', 'afterCreate',
+  'beforeBulkCreate', 'afterBulkCreate',
+  'beforeUpdate', 'afterUpdate',
+  'beforeDelete', 'afterDelete',
+  'beforeFind', 'afterFind'
+];
+
+/**
+ * Create an empty hook list per hook type
+ * @returns {Object} Hook functions by type
+ */
+function createHookLists() {
+  const hooks = {};
+  HOOK_TYPES.forEach(hookType => {
+    hooks[hookType] = [];
+  });
+  return hooks;
+}
+
+/**
+ * Add a hook to a hook list, rejecting unknown types
+ * @param {Object} hooks - Hook functions by type
+ * @param {string} hookType - Type of hook
+ * @param {Function} fn - Hook function
+ * @throws {Error} If the type is unknown or fn is not a function
+ */
+function addHookTo(hooks, hookType, fn) {
+  if (!HOOK_TYPES.includes(hookType)) {
+    throw new Error(`Unknown hook type: ${hookType}. Expected one of ${HOOK_TYPES.join(', ')}`);
+  }
+  if (typeof fn !== 'function') {
+    throw new Error(`Hook ${hookType} must be a function`);
+  }
+  hooks[hookType].push(fn);
+}
+
+/**
+ * Check for a plain object (not an array, instance or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Merge find options the way Sequelize merges scopes: `where` objects are
+ * combined key by key, arrays (order, include) are joined without
+ * duplicates and other options are replaced
+ * @param {Object} target - Options merged into
+ * @param {Object} source - Options taking precedence
+ * @returns {Object} Merged options
+ */
+function mergeScopeOptions(target, source) {
+  const merged = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    const current = merged[key];
+    if (value === undefined) {
+      return;
+    }
+    if (Array.isArray(current) && Array.isArray(value)) {
+      merged[key] = [...new Set([...current, ...value])];
+    } else if (key === 'where' && isPlainObject(current) && isPlainObject(value)) {
+      merged[key] = { ...current, ...value };
+    } else {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
 
 /**
  * Base Graph Model class
@@ -15,335 +98,1925 @@ class GraphModel {
    * Create a GraphModel instance
    * @param {Object} sequelize - Sequelize instance
    * @param {string} label - Vertex/Edge label
-   * @param {Object} attributes - Model attributes
+   * @param {Object} attributes - Model attributes: types or `{ type, allowNull, defaultValue, validate }` specs
    * @param {Object} options - Model options
    */
   constructor(sequelize, label, attributes = {}, options = {}) {
     this.sequelize = sequelize;
     this.label = label;
     this.attributes = attributes;
+    this.attributeDefinitions = Validation.normalizeAttributes(attributes);
     this.options = {
       graphName: options.graphName || 'default_graph',
       type: options.type || 'vertex', // 'vertex' or 'edge'
+      idType: options.idType || 'number', // 'number', 'bigint' or 'string'
+      strict: Object.keys(attributes).length > 0, // reject properties without an attribute
+      timestamps: false, // stamp createdAt/updatedAt
+      paranoid: false, // soft delete by setting deletedAt
       ...options
     };
-    this.hooks = {
-      beforeCreate: [],
-      afterCreate: [],
-      beforeUpdate: [],
-      afterUpdate: [],
-      beforeDelete: [],
-      afterDelete: []
+    this.timestampAttributes = {
+      createdAt: this.options.timestamps ? this._timestampName('createdAt') : null,
+      updatedAt: this.options.timestamps ? this._timestampName('updatedAt') : null,
+      deletedAt: this.options.paranoid ? this._timestampName('deletedAt') : null
+    };
+    Object.values(this.timestampAttributes).forEach(name => {
+      if (name && !this.attributeDefinitions[name]) {
+        this.attributeDefinitions[name] = { type: 'date', allowNull: true, validate: {} };
+      }
+    });
+    this.endpoints = {
+      from: this._normalizeEndpoint(this.options.from, 'from'),
+      to: this._normalizeEndpoint(this.options.to, 'to')
     };
+    this.deleteRules = this._normalizeDeleteRules(this.options.onDelete);
+    this.primaryKey = this._normalizePrimaryKey(this.options.primaryKey);
+    this.associations = {};
+    this.scopes = {};
+    Object.entries(this.options.scopes || {}).forEach(([name, scope]) => this.addScope(name, scope));
+    // Options applied to finds, counts, updates and deletes; replaced on scoped copies
+    this._baseModel = this;
+    this._scope = {};
+    this._scopeNames = [];
+    if (this.options.defaultScope) {
+      this.addScope('defaultScope', this.options.defaultScope, { override: true });
+    }
+    this.hooks = createHookLists();
+    // Hooks of the registry that defined the model, run after the model's own
+    this.globalHooks = null;
+    this.Instance = GraphInstance.define(this);
+  }
+
+  /**
+   * Associate many targets, over edges from this model's vertices
+   *
+   *   User.hasMany(Post, { through: 'POSTED' });
+   *   await user.getPosts();
+   *
+   * @param {GraphModel} target - Associated vertex model
+   * @param {Object} options - Association options (through, as, direction)
+   * @returns {Association} Association
+   */
+  hasMany(target, options = {}) {
+    return new Association('hasMany', this, target, options);
+  }
+
+  /**
+   * Associate one target, over an edge from this model's vertices
+   * @param {GraphModel} target - Associated vertex model
+   * @param {Object} options - Association options (through, as, direction)
+   * @returns {Association} Association
+   */
+  hasOne(target, options = {}) {
+    return new Association('hasOne', this, target, options);
+  }
+
+  /**
+   * Associate one target, over an edge to this model's vertices
+   * @param {GraphModel} target - Associated vertex model
+   * @param {Object} options - Association options (through, as, direction)
+   * @returns {Association} Association
+   */
+  belongsTo(target, options = {}) {
+    return new Association('belongsTo', this, target, options);
+  }
+
+  /**
+   * Associate many targets, each of which may have many of this model
+   * @param {GraphModel} target - Associated vertex model
+   * @param {Object} options - Association options (through, as, direction)
+   * @returns {Association} Association
+   */
+  belongsToMany(target, options = {}) {
+    return new Association('belongsToMany', this, target, options);
+  }
+
+  /**
+   * Add a named scope
+   * @param {string} name - Scope name; `defaultScope` replaces the default scope
+   * @param {Object|Function} scope - Find options, or a function returning them
+   * @param {Object} options - Options
+   * @param {boolean} options.override - Replace an existing scope of that name
+   */
+  addScope(name, scope, options = {}) {
+    const base = this._baseModel || this;
+    if (!isPlainObject(scope) && typeof scope !== 'function') {
+      throw new Error(`Scope ${name} of ${this.label} must be an object or a function`);
+    }
+    if (name === 'defaultScope') {
+      if (typeof scope === 'function') {
+        throw new Error('defaultScope must be an object');
+      }
+      base.options.defaultScope = scope;
+      base._scope = scope;
+      base._scopeNames = ['defaultScope'];
+      return;
+    }
+    if (base.scopes[name] && !options.override) {
+      throw new Error(`The scope ${name} already exists. Pass { override: true } as options to replace it`);
+    }
+    base.scopes[name] = scope;
+  }
+
+  /**
+   * Get a copy of the model with the given scopes applied instead of the
+   * default scope
+   *
+   *   await User.scope('active', { method: ['tenant', 42] }).findAll();
+   *
+   * Later scopes take precedence; the options of a query take precedence
+   * over all of them.
+   *
+   * @param {...(string|Object)} names - Scope names, `{ method: [name, ...args] }`
+   *   for function scopes, or find options objects
+   * @returns {GraphModel} Scoped model
+   * @throws {Error} If a scope is not defined
+   */
+  scope(...names) {
+    const base = this._baseModel;
+    const scoped = Object.create(base);
+    scoped._scope = {};
+    scoped._scopeNames = [];
+
+    names.flat().filter(name => name !== null && name !== undefined).forEach(name => {
+      let scope = name;
+      if (typeof name === 'string') {
+        scope = name === 'defaultScope' ? base.options.defaultScope : base.scopes[name];
+        if (typeof scope === 'function') {
+          scope = scope();
+        }
+      } else if (name && name.method !== undefined) {
+        const [scopeName, ...args] = Array.isArray(name.method) ? name.method : [name.method];
+        scope = base.scopes[scopeName];
+        if (typeof scope !== 'function') {
+          throw new Error(`Invalid scope ${scopeName} called on ${this.label}: not a function scope`);
+        }
+        scope = scope(...args);
+        name = scopeName;
+      }
+
+      if (!isPlainObject(scope)) {
+        throw new Error(`Invalid scope ${typeof name === 'string' ? name : JSON.stringify(name)} called on ${this.label}`);
+      }
+      scoped._scope = mergeScopeOptions(scoped._scope, scope);
+      if (typeof name === 'string') {
+        scoped._scopeNames.push(name);
+      }
+    });
+
+    return scoped;
+  }
+
+  /**
+   * Get a copy of the model without any scope, not even the default one
+   * @returns {GraphModel} Unscoped model
+   */
+  unscoped() {
+    return this.scope();
+  }
+
+  /**
+   * Merge the model's current scope into query options
+   * @param {Object} options - Query options, taking precedence over the scope
+   * @returns {Object} Merged options
+   */
+  _injectScope(options = {}) {
+    return mergeScopeOptions(this._scope, options);
+  }
+
+  /**
+   * Build an unsaved instance
+   * @param {Object} values - Property values
+   * @returns {GraphInstance} New instance, persisted by save()
+   */
+  build(values = {}) {
+    return new this.Instance(this, values);
   }
 
   /**
    * Add a hook
    * @param {string} hookType - Type of hook
-   * @param {Function} fn - Hook function
+   * @param {Function} fn - Hook function, called with (data, model)
+   * @throws {Error} If the hook type is unknown
    */
   addHook(hookType, fn) {
-    if (this.hooks[hookType]) {
-      this.hooks[hookType].push(fn);
-    }
+    addHookTo(this.hooks, hookType, fn);
   }
 
   /**
-   * Execute hooks
+   * Execute the model's hooks, then the global hooks of its registry
    * @param {string} hookType - Type of hook
    * @param {*} data - Data to pass to hooks
    */
   async executeHooks(hookType, data) {
-    if (this.hooks[hookType]) {
-      for (const hook of this.hooks[hookType]) {
-        await hook(data, this);
-      }
+    const hooks = [
+      ...(this.hooks[hookType] || []),
+      ...((this.globalHooks && this.globalHooks[hookType]) || [])
+    ];
+    for (const hook of hooks) {
+      await hook(data, this);
     }
   }
 
+  /**
+   * Run a find between the find hooks: beforeFind gets the options to
+   * change, afterFind `{ results, options }` and may change or replace the
+   * results
+   * @param {Object} options - Query options, with the scope merged
+   * @param {Function} run - (options) => Promise of the results
+   * @returns {Promise<Array>} Results
+   */
+  async _runFind(options, run) {
+    const findOptions = { ...options };
+    await this.executeHooks('beforeFind', findOptions);
+
+    const hookData = { results: await run(findOptions), options: findOptions };
+    await this.executeHooks('afterFind', hookData);
+
+    return hookData.results;
+  }
+
   /**
    * Create a new vertex/edge
    * @param {Object} properties - Properties for the entity
    * @param {Object} options - Creation options
-   * @returns {Promise<Object>} Created entity
+   * @param {boolean} options.raw - Return the plain Vertex/Edge instead of an instance
+   * @returns {Promise<GraphInstance|Object>} Created entity
    */
   async create(properties, options = {}) {
+    properties = await this._validate(properties, { isNewRecord: true });
     await this.executeHooks('beforeCreate', properties);
 
+    const params = {};
     const cypherQuery = this.options.type === 'vertex'
-      ? this._buildCreateVertexQuery(properties)
-      : this._buildCreateEdgeQuery(properties, options);
+      ? this._buildCreateVertexQuery(properties, params)
+      : this._buildCreateEdgeQuery(properties, options, params);
+
+    const results = await this._execute(cypherQuery, params, options);
+
+    const created = this._parseResult(results, options);
+    if (!created && this.options.type === 'edge') {
+      const { fromId, toId } = this._resolveEndpoints(options);
+      throw new Error(`Cannot create ${this.label}: ${this._endpointName('from')} ${fromId} or ${this._endpointName('to')} ${toId} not found`);
+    }
+    await this.executeHooks('afterCreate', created);
+
+    return created;
+  }
+
+  /**
+   * Create many vertices/edges with one UNWIND statement per chunk
+   *
+   * Vertex models take property objects. Edge models take
+   * `{ from, to, properties }` tuples; endpoints are matched by id, or by a
+   * key property when `options.from`/`options.to` give one:
+   *
+   *   Follows.bulkCreate([{ from: 'a@x.io', to: 'b@x.io' }], {
+   *     from: { label: 'User', key: 'email' },
+   *     to: { label: 'User', key: 'email' }
+   *   });
+   *
+   * Rows are validated like `create` before anything is written. Rows with
+   * different property names go into separate statements, so results are
+   * grouped by property names rather than in input order. Chunks are
+   * separate statements, run in `options.transaction` or a new transaction,
+   * so a failing chunk rolls the whole load back. Every edge row must match
+   * exactly one start and one end vertex, or the load throws.
+   *
+   * @param {Array<Object>} rows - Properties (vertices) or tuples (edges)
+   * @param {Object} options - Bulk options
+   * @param {number} options.chunkSize - Rows per statement (default 1000)
+   * @param {Object} options.from - Edge start match: `{ label, key }`
+   * @param {Object} options.to - Edge end match: `{ label, key }`
+   * @param {Object} options.transaction - Sequelize transaction
+   * @param {boolean} options.raw - Return plain Vertex/Edge objects
+   * @returns {Promise<Array<GraphInstance|Object>>} Created entities
+   */
+  async bulkCreate(rows, options = {}) {
+    const chunkSize = options.chunkSize !== undefined ? this._toCount(options.chunkSize, 'chunkSize') : 1000;
+    if (chunkSize === 0) {
+      throw new Error('Invalid chunkSize: 0');
+    }
+
+    const hookData = { rows, options };
+    await this.executeHooks('beforeBulkCreate', hookData);
+
+    const isEdge = this.options.type === 'edge';
+    const prepared = await this._prepareBulkRows(hookData.rows, isEdge, options);
+
+    const run = async transaction => {
+      const queryOptions = { ...options, transaction };
+      const rows = [];
+      for (const [keys, group] of this._groupByKeys(prepared, isEdge)) {
+        const cypherQuery = isEdge
+          ? this._buildBulkCreateEdgeQuery(keys, options)
+          : this._buildBulkCreateVertexQuery(keys);
+
+        for (let i = 0; i < group.length; i += chunkSize) {
+          const chunk = group.slice(i, i + chunkSize);
+          const results = await this._execute(cypherQuery, { rows: chunk }, queryOptions);
+          if (isEdge) {
+            this._checkBulkEdges(results, chunk);
+          }
+          rows.push(...this._parseResults(isEdge ? results.map(({ n }) => ({ n })) : results, options));
+        }
+      }
+      return rows;
+    };
+
+    const created = options.transaction
+      ? await run(options.transaction)
+      : await this.sequelize.transaction(run);
+
+    await this.executeHooks('afterBulkCreate', { rows: created, options });
+
+    return created;
+  }
+
+  /**
+   * Validate bulk rows and add timestamps
+   * @param {Array<Object>} rows - Properties or edge tuples
+   * @param {boolean} isEdge - Whether rows are edge tuples
+   * @param {Object} options - Bulk options (from/to key matching)
+   * @returns {Promise<Array<Object>>} Rows to bind
+   * @throws {ValidationError} Listing the failures of every row
+   */
+  async _prepareBulkRows(rows, isEdge, options) {
+    const errors = [];
+    const prepared = [];
+
+    for (const [index, row] of rows.entries()) {
+      const properties = isEdge ? (row.properties || {}) : row;
+      try {
+        const values = await this._validate(properties, { isNewRecord: true });
+        const withTimestamps = { ...values, ...this._timestampValues(values, true) };
+
+        prepared.push(isEdge
+          ? {
+            i: index,
+            from: this._bulkEndpointValue(row.from, options.from, 'from'),
+            to: this._bulkEndpointValue(row.to, options.to, 'to'),
+            properties: withTimestamps
+          }
+          : withTimestamps);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) {
+          throw error;
+        }
+        errors.push(...error.errors.map(item => ({ ...item, row: index, message: `Row ${index}: ${item.message}` })));
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    return prepared;
+  }
+
+  /**
+   * Group rows by their property names
+   * @param {Array<Object>} rows - Prepared rows
+   * @param {boolean} isEdge - Whether rows are edge tuples
+   * @returns {Array<Array>} [keys, rows] pairs
+   */
+  _groupByKeys(rows, isEdge) {
+    const groups = new Map();
+
+    rows.forEach(row => {
+      const keys = Object.keys(isEdge ? row.properties : row).sort();
+      const signature = JSON.stringify(keys);
+      if (!groups.has(signature)) {
+        groups.set(signature, [keys, []]);
+      }
+      groups.get(signature)[1].push(row);
+    });
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Resolve the value an edge endpoint is matched by
+   * @param {*} endpoint - Vertex, id or key value
+   * @param {Object} match - Endpoint match `{ label, key }`
+   * @param {string} side - 'from' or 'to'
+   * @returns {*} Key value, or the id as BigInt
+   */
+  _bulkEndpointValue(endpoint, match = {}, side) {
+    if (endpoint === undefined || endpoint === null) {
+      throw new Error(`Edge rows require "${side}"`);
+    }
+    if (match.key) {
+      return endpoint;
+    }
+    return BigInt(this._endpointId(endpoint, side));
+  }
+
+  /**
+   * Build the UNWIND query creating vertices
+   * @param {Array<string>} keys - Property names of the rows
+   * @returns {string} Cypher query
+   */
+  _buildBulkCreateVertexQuery(keys) {
+    return CypherFunctions.queryBuilder()
+      .unwind('$rows', 'row')
+      .create(`(n:${this.label}${this._bulkPropertyMap(keys, 'row')})`)
+      .return('n')
+      .build();
+  }
+
+  /**
+   * Build the UNWIND query creating edges
+   * @param {Array<string>} keys - Property names of the rows
+   * @param {Object} options - Bulk options (from/to matching)
+   * @returns {string} Cypher query
+   */
+  _buildBulkCreateEdgeQuery(keys, options) {
+    const from = this._bulkEndpointMatch('a', 'row.from', options.from, 'from');
+    const to = this._bulkEndpointMatch('b', 'row.to', options.to, 'to');
+
+    return CypherFunctions.queryBuilder()
+      .unwind('$rows', 'row')
+      .match(`${from.pattern}, ${to.pattern}`)
+      .where(`${from.condition} AND ${to.condition}`)
+      .create(`(a)-[n:${this.label}${this._bulkPropertyMap(keys, 'row.properties')}]->(b)`)
+      .return('n')
+      .return('row.i AS i')
+      .build();
+  }
+
+  /**
+   * Check that every bulk edge row created exactly one edge
+   *
+   * Key matches may find no vertex or several, so the count of created edges
+   * alone doesn't tell.
+   *
+   * @param {Array<Object>} results - Raw rows with the edge `n` and row index `i`
+   * @param {Array<Object>} chunk - Bound edge rows
+   * @throws {Error} Naming the rows that matched no endpoints or several
+   */
+  _checkBulkEdges(results, chunk) {
+    const counts = new Map(chunk.map(row => [row.i, 0]));
+    GraphUtils.parseAGERows(results.map(({ i }) => ({ i })), this._rowParseOptions())
+      .forEach(i => counts.set(i, counts.get(i) + 1));
+
+    const rowsWhere = test => {
+      const indexes = [...counts].filter(([, count]) => test(count)).map(([i]) => i);
+      return indexes.length > 0 ? `${indexes.length === 1 ? 'row' : 'rows'} ${indexes.join(', ')}` : null;
+    };
+    const problems = [];
+    const missing = rowsWhere(count => count === 0);
+    if (missing) {
+      problems.push(`no "from" ${this._endpointName('from')} or "to" ${this._endpointName('to')} found for ${missing}`);
+    }
+    const repeated = rowsWhere(count => count > 1);
+    if (repeated) {
+      problems.push(`several found for ${repeated}`);
+    }
+    if (problems.length > 0) {
+      throw new Error(`Cannot create ${this.label}: ${problems.join('; ')}`);
+    }
+  }
+
+  /**
+   * Pattern and condition matching a bulk edge endpoint
+   * @param {string} varName - Endpoint variable
+   * @param {string} ref - Row field holding the id or key value
+   * @param {Object} match - `{ label, key }`; the label defaults to the endpoint model's
+   * @param {string} side - 'from' or 'to'
+   * @returns {Object} { pattern, condition }
+   */
+  _bulkEndpointMatch(varName, ref, match = {}, side) {
+    if (match.label !== undefined && !GraphUtils.isValidLabel(match.label)) {
+      throw new Error(`Invalid label: ${match.label}`);
+    }
+
+    const endpoint = this.endpoints[side];
+    const label = match.label || (endpoint && endpoint.label);
+    return {
+      pattern: label ? `(${varName}:${label})` : `(${varName})`,
+      condition: match.key
+        ? `${this._propertyRef(varName, match.key)} = ${ref}`
+        : `id(${varName}) = ${ref}`
+    };
+  }
+
+  /**
+   * Property map reading each property from the unwound row
+   * @param {Array<string>} keys - Property names
+   * @param {string} source - Expression holding the properties
+   * @returns {string} ` {`k`: row.`k`, ...}`, or '' without properties
+   */
+  _bulkPropertyMap(keys, source) {
+    if (keys.length === 0) {
+      return '';
+    }
+    const entries = keys.map(key => `${CypherFunctions.escapeName(key)}: ${this._propertyRef(source, key)}`);
+    return ` {${entries.join(', ')}}`;
+  }
+
+  /**
+   * Create an element, or update the one matching the conflict keys
+   *
+   * Runs a single MERGE on the conflict key values. A new element gets all
+   * properties (with defaults and timestamps); an existing one gets the given
+   * non-key properties and updatedAt. Edge models merge between
+   * `options.from` and `options.to` and may omit conflictKeys to keep one
+   * edge per vertex pair. Like other writes, it doesn't run the find hooks.
+   *
+   * @param {Object} properties - Properties, including the conflict key values
+   * @param {Object} options - Upsert options
+   * @param {Array<string>} options.conflictKeys - Properties identifying the element
+   * @param {*} options.from - Start vertex (edge models)
+   * @param {*} options.to - End vertex (edge models)
+   * @param {boolean} options.raw - Return a plain Vertex/Edge
+   * @returns {Promise<Array>} [element, created]
+   */
+  async upsert(properties, options = {}) {
+    const conflictKeys = options.conflictKeys || [];
+    if (!Array.isArray(conflictKeys) || (conflictKeys.length === 0 && this.options.type !== 'edge')) {
+      throw new Error(`${this.label}.upsert requires conflictKeys`);
+    }
+
+    const values = await this._validate(properties, { isNewRecord: true });
+
+    const matchValues = {};
+    conflictKeys.forEach(key => {
+      if (values[key] === undefined || values[key] === null) {
+        throw new Error(`${this.label}.upsert requires a value for conflict key "${key}"`);
+      }
+      matchValues[key] = values[key];
+    });
+
+    const onCreate = {};
+    const onMatch = {};
+    Object.entries(values).forEach(([key, value]) => {
+      if (matchValues[key] !== undefined) {
+        return;
+      }
+      onCreate[key] = value;
+      if (properties[key] !== undefined) {
+        onMatch[key] = value;
+      }
+    });
+
+    const params = {};
+    const cypherQuery = this._buildMergeQuery(
+      matchValues,
+      { ...onCreate, ...this._timestampValues(values, true) },
+      { ...onMatch, ...this._timestampValues(values, false) },
+      options,
+      params
+    );
+    const results = await this._execute(cypherQuery, params, options);
+
+    return this._parseMergeResult(results, options);
+  }
+
+  /**
+   * Find the element matching `where`, or create it with `defaults`
+   *
+   * Runs a single MERGE, so `where` may only hold plain equality values.
+   * MERGE can't skip soft-deleted elements of paranoid models; they are
+   * found like any other.
+   * The find hooks run around it, and afterFind gets the element in an array.
+   *
+   * @param {Object} options - Options
+   * @param {Object} options.where - Property values to find by
+   * @param {Object} options.defaults - Additional properties for a created element
+   * @param {*} options.from - Start vertex (edge models)
+   * @param {*} options.to - End vertex (edge models)
+   * @param {boolean} options.raw - Return a plain Vertex/Edge
+   * @returns {Promise<Array>} [element, created]
+   */
+  async findOrCreate(options = {}) {
+    let created = false;
+    const [element] = await this._runFind(options, async findOptions => {
+      const where = findOptions.where || {};
+      Object.entries(where).forEach(([key, value]) => {
+        if (key.startsWith('$') || value === undefined || value === null || this._isOperatorObject(value)) {
+          throw new Error(`${this.label}.findOrCreate requires plain equality values in where ("${key}")`);
+        }
+      });
+
+      const values = await this._validate({ ...findOptions.defaults, ...where }, { isNewRecord: true });
+
+      const matchValues = {};
+      const onCreate = {};
+      Object.entries(values).forEach(([key, value]) => {
+        if (Object.prototype.hasOwnProperty.call(where, key)) {
+          matchValues[key] = value;
+        } else {
+          onCreate[key] = value;
+        }
+      });
+
+      const params = {};
+      const cypherQuery = this._buildMergeQuery(
+        matchValues,
+        { ...onCreate, ...this._timestampValues(values, true) },
+        {},
+        findOptions,
+        params
+      );
+      const results = await this._execute(cypherQuery, params, findOptions);
+
+      const [found, wasCreated] = this._parseMergeResult(results, findOptions);
+      created = wasCreated;
+      return [found];
+    });
+
+    return [element, created];
+  }
+
+  /**
+   * Find entities by criteria
+   * @param {Object} options - Query options
+   * @param {boolean} options.raw - Return plain Vertex/Edge objects instead of instances
+   * @param {Array} options.include - Related vertices to load with each result
+   * @returns {Promise<Array<GraphInstance|Object>>} Found entities
+   */
+  async findAll(options = {}) {
+    return this._runFind(this._injectScope(options), async findOptions => {
+      const params = {};
+      const cypherQuery = this._buildFindQuery(findOptions, params);
+      const results = await this._execute(cypherQuery, params, findOptions);
+
+      return this._parseResults(results, findOptions);
+    });
+  }
+
+  /**
+   * Find entities and count all matches, in one query
+   *
+   * `count` ignores limit and offset; `rows` is the requested page.
+   *
+   * @param {Object} options - Query options, as for findAll
+   * @returns {Promise<Object>} { rows, count }
+   */
+  async findAndCountAll(options = {}) {
+    let count = 0;
+    const rows = await this._runFind(this._injectScope(options), async findOptions => {
+      const params = {};
+      const cypherQuery = this._buildFindAndCountQuery(findOptions, params);
+      const results = await this._execute(cypherQuery, params, findOptions);
+
+      const [result] = GraphUtils.parseAGERows(results, this._rowParseOptions());
+      if (!result) {
+        return [];
+      }
+      count = Number(result.count);
+
+      // Each row was collected as a list of the returned variables
+      const columns = this._findColumns(findOptions, this._normalizeIncludes(findOptions.include));
+      return this._wrapRows((result.rows || []).map(values => {
+        if (columns.length === 1) {
+          return values[0];
+        }
+        const row = {};
+        columns.forEach((column, index) => {
+          row[column] = values[index];
+        });
+        return row;
+      }), findOptions);
+    });
+
+    return { rows, count };
+  }
+
+  /**
+   * Fetch a page of entities after a cursor (keyset pagination)
+   *
+   * Rows are ordered by `orderBy` with `id(n)` as tie-breaker, and filtered
+   * to those after the cursor's sort key instead of SKIPping, so deep pages
+   * cost the same as the first one. Sort properties should not be null.
+   *
+   *   const page = await Post.paginate({ orderBy: [['createdAt', 'DESC']], limit: 20 });
+   *   const next = await Post.paginate({ orderBy: [['createdAt', 'DESC']], after: page.nextCursor });
+   *
+   * @param {Object} options - Query options, as for findAll
+   * @param {string} options.after - Cursor returned as `nextCursor`
+   * @param {Array|string} options.orderBy - Sort properties, as for `order`
+   * @param {number} options.limit - Page size (default 20)
+   * @returns {Promise<Object>} { rows, nextCursor }, nextCursor null on the last page
+   * @throws {Error} If the cursor is invalid or was made for another orderBy
+   */
+  async paginate(options = {}) {
+    let nextCursor = null;
+    const rows = await this._runFind(this._injectScope(options), async findOptions => {
+      const { after, orderBy, limit = 20 } = findOptions;
+      const pageSize = this._toCount(limit, 'limit');
+      if (pageSize === 0) {
+        throw new Error('Invalid limit: 0');
+      }
+
+      const order = this._normalizeKeysetOrder(orderBy);
+      const direction = order.length > 0 ? order[order.length - 1][1] : 'ASC';
+      const params = {};
+      const conditions = [];
+      if (after !== undefined && after !== null) {
+        conditions.push(this._buildKeysetCondition(order, direction, this._decodeCursor(after, order), params));
+      }
+
+      // The cursor replaces skip and offset
+      const queryOptions = { ...findOptions, order, limit: pageSize + 1 };
+      ['after', 'orderBy', 'skip', 'offset'].forEach(key => delete queryOptions[key]);
+      const cypherQuery = this._buildFindQuery(queryOptions, params, {
+        conditions,
+        orderBy: [`id(n) ${direction}`]
+      });
+      const results = await this._execute(cypherQuery, params, queryOptions);
+      const found = this._parseResults(results, queryOptions);
+
+      // The cursor is taken before afterFind can change the rows
+      if (found.length > pageSize) {
+        nextCursor = this._encodeCursor(found[pageSize - 1], order);
+      }
+      return found.slice(0, pageSize);
+    });
+
+    return { rows, nextCursor };
+  }
+
+  /**
+   * Find one entity by criteria
+   * @param {Object} options - Query options
+   * @returns {Promise<GraphInstance|Object|null>} Found entity or null
+   */
+  async findOne(options = {}) {
+    const results = await this.findAll({ ...options, limit: 1 });
+    return results.length > 0 ? results[0] : null;
+  }
+
+  /**
+   * Find entity by ID
+   *
+   * Matches the AGE id (`id(n)`), or the `primaryKey` property when the
+   * model has one.
+   *
+   * @param {string|number|bigint} id - Entity ID, or primary key value
+   * @param {Object} options - Query options
+   * @returns {Promise<GraphInstance|Object|null>} Found entity or null
+   */
+  async findByPk(id, options = {}) {
+    if (this.primaryKey) {
+      return this.findOne({ ...options, where: { ...options.where, [this.primaryKey]: id } });
+    }
+
+    const condition = `id(n) = ${GraphUtils.resolveId(id)}`;
+    const found = await this._runFind({ ...this._injectScope(options), limit: 1 }, async findOptions => {
+      const params = {};
+      const cypherQuery = this._buildFindQuery(findOptions, params, { conditions: [condition] });
+      const results = await this._execute(cypherQuery, params, findOptions);
+
+      return this._parseResults(results, findOptions);
+    });
+
+    return found[0] || null;
+  }
+
+  /**
+   * Update entities
+   * @param {Object} properties - Properties to update
+   * @param {Object} options - Update options
+   * @param {boolean} options.returning - Also return the updated entities
+   * @returns {Promise<number|Array>} Number of updated entities, or
+   *   [count, entities] with `returning`
+   */
+  async update(properties, options = {}) {
+    options = this._injectScope(options);
+    properties = await this._validate(properties);
+    await this.executeHooks('beforeUpdate', { properties, options });
+
+    const params = {};
+    const cypherQuery = this._buildUpdateQuery(properties, options, params);
+    const results = await this._execute(cypherQuery, params, options);
+
+    await this.executeHooks('afterUpdate', { properties, options });
+
+    if (options.returning) {
+      const updated = this._parseResults(results, { raw: options.raw });
+      return [updated.length, updated];
+    }
+    return this._parseCount(results);
+  }
+
+  /**
+   * Delete entities
+   *
+   * AGE refuses to delete vertices that still have edges. `detach` (or
+   * `cascade`) removes them too; the model's `onDelete` rules run first on
+   * every hard delete. Paranoid models count the soft-deleted entities.
+   *
+   * @param {Object} options - Delete options
+   * @param {Object} options.where - Where conditions
+   * @param {boolean} options.force - Hard delete elements of paranoid models
+   * @param {boolean} options.detach - DETACH DELETE, removing remaining edges
+   * @param {boolean} options.cascade - Alias of detach
+   * @param {Object} options.transaction - Sequelize transaction
+   * @returns {Promise<number>} Number of deleted entities
+   */
+  async destroy(options = {}) {
+    options = this._injectScope(options);
+    await this.executeHooks('beforeDelete', options);
+
+    const { count } = await this._runDelete(params => this._buildDeleteMatch(options, params), options);
+
+    await this.executeHooks('afterDelete', options);
+
+    return count;
+  }
+
+  /**
+   * Restore soft-deleted entities of a paranoid model
+   * @param {Object} options - Restore options
+   * @param {Object} options.where - Where conditions
+   * @returns {Promise<void>}
+   */
+  async restore(options = {}) {
+    const deletedAt = this.timestampAttributes.deletedAt;
+    if (!deletedAt) {
+      throw new Error(`${this.label} is not paranoid`);
+    }
+
+    const params = {};
+    const builder = CypherFunctions.queryBuilder()
+      .match(this._matchPattern('n'));
+    this._applyWhere(builder, { ...options, paranoid: false }, 'n', params, [`${this._propertyRef('n', deletedAt)} IS NOT NULL`]);
+    builder.remove(this._propertyRef('n', deletedAt));
+
+    await this._execute(builder.build(), params, options);
+  }
+
+  /**
+   * Count entities
+   * @param {Object} options - Count options
+   * @returns {Promise<number>} Count of entities
+   */
+  async count(options = {}) {
+    options = this._injectScope(options);
+    const params = {};
+    const builder = CypherFunctions.queryBuilder()
+      .match(this._matchPattern('n'));
+
+    this._applyWhere(builder, options, 'n', params);
+
+    builder.return('count(n) as count');
+
+    const results = await this._execute(builder.build(), params, options);
+
+    return this._parseCount(results);
+  }
+
+  /**
+   * Coerce and validate properties against the attribute definitions
+   * @param {Object} properties - Property values
+   * @param {Object} options - Validation options
+   * @param {boolean} options.isNewRecord - Apply defaults and require non-null attributes
+   * @returns {Promise<Object>} Coerced properties
+   * @throws {ValidationError} Listing every failure
+   */
+  async _validate(properties, options = {}) {
+    const hookData = { properties: { ...properties }, options };
+    await this.executeHooks('beforeValidate', hookData);
+
+    hookData.properties = await Validation.validate(this.attributeDefinitions, hookData.properties, {
+      modelName: this.label,
+      strict: this.options.strict,
+      ...options
+    });
+    await this.executeHooks('afterValidate', hookData);
+
+    return hookData.properties;
+  }
+
+  /**
+   * Run a cypher query against the model's graph
+   * @param {string} cypherQuery - Cypher query
+   * @param {Object} params - Parameters referenced as `$name` in the query
+   * @param {Object} options - Query options
+   * @param {Object} options.transaction - Sequelize transaction to run in
+   * @returns {Promise<Array>} Raw result rows
+   */
+  async _execute(cypherQuery, params = {}, options = {}) {
+    const hasParams = Object.keys(params).length > 0;
+    const query = GraphUtils.buildAGEQuery(this.options.graphName, cypherQuery, { params: hasParams });
+
+    const queryOptions = {
+      type: this.sequelize.QueryTypes.SELECT
+    };
+    if (options.transaction) {
+      queryOptions.transaction = options.transaction;
+    }
+    if (hasParams) {
+      queryOptions.bind = [AGTYPE.stringify(params)];
+    }
+
+    return this.sequelize.query(query, queryOptions);
+  }
+
+  /**
+   * Name of a timestamp attribute, honouring renames (`createdAt: 'created_at'`) and `false`
+   * @param {string} key - createdAt, updatedAt or deletedAt
+   * @returns {string|null} Property name, null if disabled
+   */
+  _timestampName(key) {
+    const option = this.options[key];
+    if (option === false) {
+      return null;
+    }
+    return typeof option === 'string' ? option : key;
+  }
+
+  /**
+   * Timestamp properties to write along with `properties`
+   *
+   * New records keep an explicitly given createdAt; updatedAt is always now.
+   *
+   * @param {Object} properties - Properties being written
+   * @param {boolean} isNewRecord - Whether the element is being created
+   * @returns {Object} Timestamp properties (ISO strings)
+   */
+  _timestampValues(properties, isNewRecord) {
+    const { createdAt, updatedAt } = this.timestampAttributes;
+    const now = new Date().toISOString();
+    const values = {};
+
+    if (isNewRecord && createdAt) {
+      values[createdAt] = properties[createdAt] !== undefined ? properties[createdAt] : now;
+    }
+    if (updatedAt) {
+      values[updatedAt] = now;
+    }
+
+    return values;
+  }
+
+  /**
+   * Add the WHERE clause of query options to a builder
+   *
+   * Paranoid models exclude soft-deleted elements unless `paranoid: false`.
+   * On edge models, `where.from`/`where.to` filter the endpoint vertices,
+   * matched as `a` and `b` by `_matchPattern`.
+   *
+   * @param {CypherQueryBuilder} builder - Query builder
+   * @param {Object} options - Query options (where, paranoid)
+   * @param {string} varName - Variable name
+   * @param {Object} params - Parameter map the where values are bound into
+   * @param {Array<string>} conditions - Extra conditions to AND
+   */
+  _applyWhere(builder, options, varName, params, conditions = []) {
+    const clauses = [...conditions];
+
+    const deletedAt = this.timestampAttributes.deletedAt;
+    if (deletedAt && options.paranoid !== false) {
+      clauses.push(`${this._propertyRef(varName, deletedAt)} IS NULL`);
+    }
+
+    let where = options.where;
+    if (where && this.options.type === 'edge') {
+      const { from, to, ...properties } = where;
+      [['a', from], ['b', to]].forEach(([endpointVar, endpointWhere]) => {
+        if (endpointWhere !== undefined) {
+          clauses.push(this._buildWhereClause(endpointWhere, endpointVar, params));
+        }
+      });
+      where = properties;
+    }
+
+    if (where) {
+      const whereClause = this._buildWhereClause(where, varName, params);
+      if (whereClause) {
+        clauses.push(whereClause);
+      }
+    }
+
+    if (clauses.length > 0) {
+      builder.where(clauses.filter(Boolean).join(' AND '));
+    }
+  }
+
+  /**
+   * Add the delete action to a builder: DELETE, or SET deletedAt for paranoid models
+   * @param {CypherQueryBuilder} builder - Query builder
+   * @param {string} varName - Variable name
+   * @param {Object} params - Parameter map
+   * @param {Object} options - Delete options (force, detach)
+   * @returns {string|null} The deletedAt value written, null for a hard delete
+   */
+  _applyDelete(builder, varName, params, options = {}) {
+    const deletedAt = this.timestampAttributes.deletedAt;
+    if (deletedAt && !options.force) {
+      const now = new Date().toISOString();
+      builder.set(`${this._propertyRef(varName, deletedAt)} = ${this._bindValue(params, now)}`);
+      return now;
+    }
+
+    if ((options.detach || options.cascade) && this.options.type !== 'edge') {
+      builder.detachDelete(varName);
+    } else {
+      builder.delete(varName);
+    }
+    return null;
+  }
+
+  /**
+   * Delete the elements matched by a builder, applying the delete rules
+   *
+   * Restrict rules are checked before anything is deleted; cascade and
+   * nullify rules run before the elements are. The statements share a
+   * transaction: `options.transaction`, or a new one when there are rules.
+   *
+   * @param {Function} matchElements - (params) => builder matching the elements as `n`
+   * @param {Object} options - Delete options (force, detach, cascade, transaction)
+   * @returns {Promise<Object>} { count, deletedAt } where deletedAt is the
+   *   soft-delete timestamp or null
+   * @throws {Error} If a restrict rule has blocking edges
+   */
+  async _runDelete(matchElements, options = {}) {
+    const hardDelete = !this.timestampAttributes.deletedAt || Boolean(options.force);
+    const rules = hardDelete ? this.deleteRules : [];
+
+    const run = async transaction => {
+      const queryOptions = transaction ? { ...options, transaction } : options;
+
+      for (const rule of rules.filter(r => r.action === 'restrict')) {
+        await this._checkRestrictRule(matchElements, rule, queryOptions);
+      }
+      for (const rule of rules.filter(r => r.action !== 'restrict')) {
+        const params = {};
+        const builder = matchElements(params);
+        if (rule.action === 'cascade') {
+          builder.match(rule.relationship.toCypherPattern('n', rule.target, ''))
+            .with('DISTINCT m')
+            .detachDelete('m');
+        } else {
+          builder.match(rule.relationship.toCypherPattern('n', '', 'r'))
+            .with('DISTINCT r')
+            .delete('r');
+        }
+        await this._execute(builder.build(), params, queryOptions);
+      }
+
+      const params = {};
+      const builder = matchElements(params);
+      const deletedAt = this._applyDelete(builder, 'n', params, options);
+      builder.return('count(*) AS count');
+      const results = await this._execute(builder.build(), params, queryOptions);
+
+      return { count: this._parseCount(results), deletedAt };
+    };
+
+    if (options.transaction || rules.length === 0) {
+      return run(options.transaction);
+    }
+    return this.sequelize.transaction(run);
+  }
+
+  /**
+   * Throw if the elements to delete have edges a restrict rule protects
+   * @param {Function} matchElements - (params) => builder matching the elements as `n`
+   * @param {Object} rule - Normalized delete rule
+   * @param {Object} options - Query options
+   * @throws {Error} Listing the blocking edges
+   */
+  async _checkRestrictRule(matchElements, rule, options) {
+    const params = {};
+    const builder = matchElements(params)
+      .match(rule.relationship.toCypherPattern('n', rule.target, 'r'))
+      .return('DISTINCT r');
+    const edges = this._parseResults(await this._execute(builder.build(), params, options), { raw: true });
+
+    if (edges.length > 0) {
+      const listed = edges.slice(0, 10).map(edge => `${edge.id} (${edge.startId} -> ${edge.endId})`);
+      const more = edges.length > 10 ? ` and ${edges.length - 10} more` : '';
+      throw new Error(`Cannot delete ${this.label}: restricted by ${rule.type} edges ${listed.join(', ')}${more}`);
+    }
+  }
+
+  /**
+   * Validate the primaryKey option
+   * @param {string} primaryKey - Property findByPk matches instead of id()
+   * @returns {string|null} Property name, null to use id()
+   */
+  _normalizePrimaryKey(primaryKey) {
+    if (primaryKey === undefined || primaryKey === null || primaryKey === 'id') {
+      return null;
+    }
+    this._propertyRef('n', primaryKey);
+    if (this.options.strict && !this.attributeDefinitions[primaryKey]) {
+      throw new Error(`primaryKey ${primaryKey} is not an attribute of ${this.label}`);
+    }
+    return primaryKey;
+  }
+
+  /**
+   * Normalize the `onDelete` model option
+   *
+   * Keys are edge labels; values an action ('cascade', 'nullify',
+   * 'restrict') or `{ action, direction, label }`. Cascade deletes the vertex
+   * at the other end (of `label`, if given), nullify deletes the edge and
+   * restrict refuses to delete while such edges exist. Cascade follows
+   * outgoing edges by default, the others both directions.
+   *
+   * @param {Object} onDelete - Rules by edge label
+   * @returns {Array<Object>} Rules ({ type, action, target, relationship })
+   */
+  _normalizeDeleteRules(onDelete = {}) {
+    return Object.entries(onDelete || {}).map(([type, config]) => {
+      const rule = typeof config === 'string' ? { action: config } : { ...config };
+
+      if (!GraphUtils.isValidLabel(type)) {
+        throw new Error(`Invalid edge label in onDelete: ${type}`);
+      }
+      if (!DELETE_ACTIONS.includes(rule.action)) {
+        throw new Error(`Invalid onDelete action for ${type}: ${rule.action}`);
+      }
+      if (rule.label !== undefined && !GraphUtils.isValidLabel(rule.label)) {
+        throw new Error(`Invalid label in onDelete rule for ${type}: ${rule.label}`);
+      }
+
+      const direction = rule.direction || (rule.action === 'cascade' ? 'outgoing' : 'both');
+      if (!['outgoing', 'incoming', 'both'].includes(direction)) {
+        throw new Error(`Invalid onDelete direction for ${type}: ${direction}`);
+      }
+
+      return {
+        type,
+        action: rule.action,
+        target: rule.label ? `m:${rule.label}` : 'm',
+        relationship: Relationships.define(type, { direction })
+      };
+    });
+  }
+
+  /**
+   * Pattern matching the model's elements as `varName`
+   *
+   * Edges are matched with their endpoints as `a` and `b`, labelled when the
+   * model has endpoint models.
+   *
+   * @param {string} varName - Variable name
+   * @returns {string} MATCH pattern
+   */
+  _matchPattern(varName = 'n') {
+    return this.options.type === 'edge'
+      ? `${this._endpointPattern('a', 'from')}-[${varName}:${this.label}]->${this._endpointPattern('b', 'to')}`
+      : `(${varName}:${this.label})`;
+  }
+
+  /**
+   * Pattern for an edge endpoint, labelled by the endpoint model
+   * @param {string} varName - Variable name
+   * @param {string} side - 'from' or 'to'
+   * @returns {string} Node pattern
+   */
+  _endpointPattern(varName, side) {
+    const endpoint = this.endpoints[side];
+    return endpoint ? `(${varName}:${endpoint.label})` : `(${varName})`;
+  }
+
+  /**
+   * Normalize the `from`/`to` model option of an edge model
+   * @param {GraphModel|string} endpoint - Vertex model or label
+   * @param {string} side - 'from' or 'to'
+   * @returns {Object|null} { label, model }
+   */
+  _normalizeEndpoint(endpoint, side) {
+    if (endpoint === undefined || endpoint === null) {
+      return null;
+    }
+    if (this.options.type !== 'edge') {
+      throw new Error(`The "${side}" option is only supported on edge models`);
+    }
+
+    const model = endpoint instanceof GraphModel ? endpoint : null;
+    if (model && model.options.type !== 'vertex') {
+      throw new Error(`${this.label} "${side}" must be a vertex model, got ${model.label}`);
+    }
+
+    const label = model ? model.label : endpoint;
+    if (!GraphUtils.isValidLabel(label)) {
+      throw new Error(`Invalid ${side} label for ${this.label}: ${label}`);
+    }
+
+    return { label, model };
+  }
+
+  /**
+   * Name of an endpoint for error messages
+   * @param {string} side - 'from' or 'to'
+   * @returns {string} Endpoint label, or 'vertex'
+   */
+  _endpointName(side) {
+    return this.endpoints[side] ? this.endpoints[side].label : 'vertex';
+  }
+
+  /**
+   * Resolve an endpoint id, checking the label of vertices and instances
+   * @param {*} endpoint - Vertex, instance or id
+   * @param {string} side - 'from' or 'to'
+   * @returns {string} Validated id
+   * @throws {Error} If the vertex has another label than the endpoint model
+   */
+  _endpointId(endpoint, side) {
+    const expected = this.endpoints[side];
+    if (expected && endpoint !== null && typeof endpoint === 'object' && endpoint.label && endpoint.label !== expected.label) {
+      throw new Error(`${this.label} "${side}" must be a ${expected.label} vertex, got ${endpoint.label}`);
+    }
+    return GraphUtils.resolveId(endpoint);
+  }
+
+  /**
+   * Build create vertex query
+   * @param {Object} properties - Properties
+   * @param {Object} params - Parameter map the values are bound into
+   * @returns {string} Cypher query
+   */
+  _buildCreateVertexQuery(properties, params) {
+    const values = { ...properties, ...this._timestampValues(properties, true) };
+    return CypherFunctions.queryBuilder()
+      .create(`(n:${this.label}${this._bindPropertyMap(values, params)})`)
+      .return('n')
+      .build();
+  }
+
+  /**
+   * Build create edge query
+   * @param {Object} properties - Properties
+   * @param {Object} options - Options with from/to vertex info
+   * @param {Object} params - Parameter map the values are bound into
+   * @returns {string} Cypher query
+   */
+  _buildCreateEdgeQuery(properties, options, params) {
+    const { fromId, toId } = this._resolveEndpoints(options);
+    const values = { ...properties, ...this._timestampValues(properties, true) };
+
+    const builder = CypherFunctions.queryBuilder()
+      .match(`${this._endpointPattern('a', 'from')}, ${this._endpointPattern('b', 'to')}`)
+      .where(`id(a) = ${fromId} AND id(b) = ${toId}`)
+      .create(`(a)-[r:${this.label}${this._bindPropertyMap(values, params)}]->(b)`)
+      .return('r');
+
+    return builder.build();
+  }
+
+  /**
+   * Resolve the endpoint ids of an edge from options
+   * @param {Object} options - Options with from/to (or fromId/toId)
+   * @returns {Object} { fromId, toId } as digit strings
+   */
+  _resolveEndpoints(options) {
+    const from = options.from !== undefined ? options.from : options.fromId;
+    const to = options.to !== undefined ? options.to : options.toId;
+
+    if (from === undefined || from === null || to === undefined || to === null) {
+      throw new Error('Edge creation requires "from" and "to" vertex IDs');
+    }
+
+    return { fromId: this._endpointId(from, 'from'), toId: this._endpointId(to, 'to') };
+  }
+
+  /**
+   * Build a MERGE query that also reports whether the element was created
+   *
+   * MERGE alone doesn't tell, so an OPTIONAL MATCH on the same pattern
+   * counts existing elements first.
+   *
+   * @param {Object} matchValues - Properties the element is merged on
+   * @param {Object} onCreate - Properties set when the element is created
+   * @param {Object} onMatch - Properties set when the element exists
+   * @param {Object} options - Options with from/to for edge models
+   * @param {Object} params - Parameter map the values are bound into
+   * @returns {string} Cypher query returning `n` and `created`
+   */
+  _buildMergeQuery(matchValues, onCreate, onMatch, options, params) {
+    const properties = this._bindPropertyMap(matchValues, params);
+    const lookup = CypherFunctions.queryBuilder();
+    let pattern;
+
+    if (this.options.type === 'edge') {
+      const { fromId, toId } = this._resolveEndpoints(options);
+      lookup
+        .match(`${this._endpointPattern('a', 'from')}, ${this._endpointPattern('b', 'to')}`)
+        .where(`id(a) = ${fromId} AND id(b) = ${toId}`)
+        .optionalMatch(`(a)-[e:${this.label}${properties}]->(b)`)
+        .with('a, b, count(e) = 0 AS created');
+      pattern = `(a)-[n:${this.label}${properties}]->(b)`;
+    } else {
+      lookup
+        .optionalMatch(`(e:${this.label}${properties})`)
+        .with('count(e) = 0 AS created');
+      pattern = `(n:${this.label}${properties})`;
+    }
+
+    const merge = CypherFunctions.queryBuilder().merge(pattern);
+    this._bindAssignments('n', onCreate, params).forEach(assignment => merge.onCreateSet(assignment));
+    this._bindAssignments('n', onMatch, params).forEach(assignment => merge.onMatchSet(assignment));
+    merge.return('n').return('created');
+
+    return `${lookup.build()} ${merge.build()}`;
+  }
+
+  /**
+   * Parse the row returned by a MERGE query
+   * @param {Array} results - Raw results
+   * @param {Object} options - Query options (raw)
+   * @returns {Array} [element, created]
+   */
+  _parseMergeResult(results, options = {}) {
+    const [row] = this._parseResults(results, { raw: true });
+    if (!row) {
+      throw new Error(`${this.label} could not be merged; check that the "from" ${this._endpointName('from')} and "to" ${this._endpointName('to')} exist`);
+    }
+
+    const element = options.raw ? row.n : this._toInstance(row.n);
+    return [element, row.created === true];
+  }
+
+  /**
+   * Build find query
+   * @param {Object} options - Query options
+   * @param {Object} params - Parameter map the where values are bound into
+   * @param {Object} match - Custom match for associations
+   * @param {string} match.pattern - Pattern binding the elements as `n`
+   * @param {Array<string>} match.conditions - Extra conditions to AND
+   * @param {Array<string>} match.orderBy - Extra ORDER BY expressions
+   * @returns {string} Cypher query
+   */
+  _buildFindQuery(options, params = {}, match = {}) {
+    const includes = this._normalizeIncludes(options.include);
+    const stages = this._buildMatchStages(options, includes, params, match);
+    const builder = CypherFunctions.queryBuilder();
+
+    const order = this._buildFindOrder(options, match);
+    if (order) {
+      builder.orderBy(order);
+    }
+
+    if (options.limit) {
+      builder.limit(this._toCount(options.limit, 'limit'));
+    }
+
+    if (options.skip || options.offset) {
+      builder.skip(this._toCount(options.skip || options.offset, 'offset'));
+    }
+
+    this._findColumns(options, includes).forEach(column => builder.return(column));
+
+    return [...stages, builder.build()].join(' ');
+  }
+
+  /**
+   * Build the clauses matching the elements of a find as `n`, with the
+   * lists of included vertices
+   * @param {Object} options - Query options (where, paranoid)
+   * @param {Array<Object>} includes - Normalized includes
+   * @param {Object} params - Parameter map the where values are bound into
+   * @param {Object} match - Custom match (pattern, conditions)
+   * @returns {Array<string>} Cypher clauses
+   */
+  _buildMatchStages(options, includes, params, match = {}) {
+    const builder = CypherFunctions.queryBuilder()
+      .match(match.pattern || this._matchPattern('n'));
+    this._applyWhere(builder, options, 'n', params, match.conditions);
+
+    // Each include collects its vertices per result before the RETURN
+    return [
+      builder.build(),
+      ...includes.map((include, index) => this._buildIncludeStage(include, includes.slice(0, index), params))
+    ];
+  }
+
+  /**
+   * ORDER BY expressions of a find
+   * @param {Object} options - Query options (order)
+   * @param {Object} match - Custom match with extra `orderBy` expressions
+   * @returns {string} ORDER BY expressions, empty if unordered
+   */
+  _buildFindOrder(options, match = {}) {
+    const order = options.order ? this._buildOrderClause(options.order, 'n') : '';
+    return [order, ...(match.orderBy || [])].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Variables returned by a find: the element, the endpoints of edges and
+   * the included vertex lists
+   * @param {Object} options - Query options (raw)
+   * @param {Array<Object>} includes - Normalized includes
+   * @returns {Array<string>} Variable names
+   */
+  _findColumns(options, includes) {
+    const columns = ['n'];
+    if (this.options.type === 'edge' && !options.raw) {
+      columns.push('a', 'b');
+    }
+    includes.forEach(include => columns.push(include.varName));
+    return columns;
+  }
+
+  /**
+   * Build a query returning the count of matching elements and the
+   * requested page of them, as `count` and `rows`
+   * @param {Object} options - Query options
+   * @param {Object} params - Parameter map the where values are bound into
+   * @returns {string} Cypher query
+   */
+  _buildFindAndCountQuery(options, params = {}) {
+    const includes = this._normalizeIncludes(options.include);
+    const stages = this._buildMatchStages(options, includes, params);
+    const columns = this._findColumns(options, includes).join(', ');
+
+    const order = this._buildFindOrder(options);
+    if (order) {
+      stages.push(CypherFunctions.queryBuilder().with(columns).orderBy(order).build());
+    }
+
+    const offset = options.skip || options.offset ? this._toCount(options.skip || options.offset, 'offset') : 0;
+    let page = 'rows';
+    if (options.limit) {
+      page = `rows[${offset}..${offset + this._toCount(options.limit, 'limit')}]`;
+    } else if (offset > 0) {
+      page = `rows[${offset}..]`;
+    }
+
+    stages.push(CypherFunctions.queryBuilder()
+      .with(`collect([${columns}]) AS rows`)
+      .return('size(rows) AS count')
+      .return(`${page} AS rows`)
+      .build());
+
+    return stages.join(' ');
+  }
+
+  /**
+   * Build the clauses loading one include: an OPTIONAL MATCH (MATCH when
+   * `required`) of the related vertices, collected into a list
+   * @param {Object} include - Normalized include
+   * @param {Array<Object>} previous - Includes collected before this one
+   * @param {Object} params - Parameter map the where values are bound into
+   * @returns {string} Cypher clauses
+   */
+  _buildIncludeStage(include, previous, params) {
+    const { model, varName } = include;
+    const pattern = include.relationship.toCypherPattern('n', `${varName}:${model.label}`, '');
+    const builder = CypherFunctions.queryBuilder();
+    if (include.required) {
+      builder.match(pattern);
+    } else {
+      builder.optionalMatch(pattern);
+    }
 
-    const query = GraphUtils.buildAGEQuery(this.options.graphName, cypherQuery);
-    const results = await this.sequelize.query(query, {
-      type: this.sequelize.QueryTypes.SELECT
-    });
+    model._applyWhere(builder, include, varName, params);
 
-    const created = this._parseResult(results);
-    await this.executeHooks('afterCreate', created);
+    const carried = ['n', ...previous.map(other => other.varName)].join(', ');
+    builder.with(`${carried}, collect(DISTINCT ${varName}) AS ${varName}`);
 
-    return created;
+    return builder.build();
   }
 
   /**
-   * Find entities by criteria
-   * @param {Object} options - Query options
-   * @returns {Promise<Array>} Found entities
+   * Normalize the `include` option of a find
+   *
+   * Entries are an association name, an associated model, or
+   * `{ association }` / `{ relationship, model, direction }` objects with
+   * `as`, `where`, `required` and `paranoid`.
+   *
+   * @param {Array|Object|string} include - Include option
+   * @returns {Array<Object>} Includes with model, relationship, as, single and varName
+   * @throws {Error} If an include can't be resolved
    */
-  async findAll(options = {}) {
-    const cypherQuery = this._buildFindQuery(options);
-    const query = GraphUtils.buildAGEQuery(this.options.graphName, cypherQuery);
+  _normalizeIncludes(include) {
+    if (!include) {
+      return [];
+    }
+    if (this.options.type === 'edge') {
+      throw new Error(`include is only supported on vertex models, ${this.label} is an edge model`);
+    }
 
-    const results = await this.sequelize.query(query, {
-      type: this.sequelize.QueryTypes.SELECT
-    });
+    const names = new Set();
+    return (Array.isArray(include) ? include : [include]).map((entry, index) => {
+      let spec = entry;
+      if (typeof entry === 'string') {
+        spec = { association: entry };
+      } else if (entry instanceof GraphModel) {
+        spec = { model: entry };
+      }
+      if (!spec || typeof spec !== 'object') {
+        throw new Error(`Invalid include for ${this.label}: ${entry}`);
+      }
+      if (spec.include) {
+        throw new Error('Nested includes are not supported');
+      }
 
-    return this._parseResults(results);
+      const normalized = spec.relationship
+        ? this._includeFromRelationship(spec)
+        : this._includeFromAssociation(spec);
+
+      if (names.has(normalized.as)) {
+        throw new Error(`${this.label} includes ${normalized.as} more than once`);
+      }
+      if (normalized.as in this.Instance.prototype) {
+        throw new Error(`Include name ${normalized.as} collides with an existing property of ${this.label}`);
+      }
+      names.add(normalized.as);
+
+      return {
+        ...normalized,
+        where: normalized.model._injectScope({ where: spec.where }).where,
+        paranoid: spec.paranoid,
+        required: Boolean(spec.required),
+        varName: `i${index}`
+      };
+    });
   }
 
   /**
-   * Find one entity by criteria
-   * @param {Object} options - Query options
-   * @returns {Promise<Object|null>} Found entity or null
+   * Resolve an include given by edge label
+   * @param {Object} spec - Include with relationship, model, direction and as
+   * @returns {Object} { model, relationship, as, single }
    */
-  async findOne(options = {}) {
-    const results = await this.findAll({ ...options, limit: 1 });
-    return results.length > 0 ? results[0] : null;
+  _includeFromRelationship(spec) {
+    const { model, direction = 'outgoing' } = spec;
+    if (typeof spec.relationship !== 'string' || !GraphUtils.isValidLabel(spec.relationship)) {
+      throw new Error(`Invalid include relationship: ${spec.relationship}`);
+    }
+    if (!(model instanceof GraphModel) || model.options.type !== 'vertex') {
+      throw new Error(`Include of ${spec.relationship} requires a vertex model`);
+    }
+    if (!['outgoing', 'incoming', 'both'].includes(direction)) {
+      throw new Error(`Invalid include direction: ${direction}`);
+    }
+
+    return {
+      model,
+      relationship: Relationships.define(spec.relationship, { direction }),
+      as: spec.as || Utils.pluralize(model.label),
+      single: false
+    };
   }
 
   /**
-   * Find entity by ID
-   * @param {string|number} id - Entity ID
-   * @returns {Promise<Object|null>} Found entity or null
+   * Resolve an include through one of this model's associations
+   * @param {Object} spec - Include with association or model, and as
+   * @returns {Object} { model, relationship, as, single }
    */
-  async findByPk(id) {
-    return this.findOne({ where: { id } });
+  _includeFromAssociation(spec) {
+    let association;
+    if (spec.association) {
+      association = typeof spec.association === 'string' ? this.associations[spec.association] : spec.association;
+      if (!association || this.associations[association.as] !== association) {
+        throw new Error(`${this.label} has no association named ${spec.association.as || spec.association}`);
+      }
+    } else {
+      if (!(spec.model instanceof GraphModel)) {
+        throw new Error(`Include of ${this.label} requires an association, a model or a relationship`);
+      }
+      const candidates = Object.values(this.associations).filter(candidate => candidate.target === spec.model);
+      if (candidates.length === 0) {
+        throw new Error(`${spec.model.label} is not associated to ${this.label}; pass "relationship"`);
+      }
+      if (candidates.length > 1) {
+        throw new Error(`${this.label} has several associations to ${spec.model.label}; pass "association"`);
+      }
+      [association] = candidates;
+    }
+
+    return {
+      model: association.target,
+      relationship: association.relationship,
+      as: spec.as || association.as,
+      single: association.single
+    };
   }
 
   /**
-   * Update entities
+   * Build update query
    * @param {Object} properties - Properties to update
    * @param {Object} options - Update options
-   * @returns {Promise<number>} Number of updated entities
+   * @param {Object} params - Parameter map the values are bound into
+   * @returns {string} Cypher query
    */
-  async update(properties, options = {}) {
-    await this.executeHooks('beforeUpdate', { properties, options });
+  _buildUpdateQuery(properties, options, params = {}) {
+    const varName = 'n';
+    const builder = CypherFunctions.queryBuilder()
+      .match(this._matchPattern(varName));
 
-    const cypherQuery = this._buildUpdateQuery(properties, options);
-    const query = GraphUtils.buildAGEQuery(this.options.graphName, cypherQuery);
+    this._applyWhere(builder, options, varName, params);
 
-    await this.sequelize.query(query, {
-      type: this.sequelize.QueryTypes.SELECT
-    });
+    // Build SET clauses for each property
+    const values = options.silent ? properties : { ...properties, ...this._timestampValues(properties, false) };
+    this._bindAssignments(varName, values, params).forEach(assignment => builder.set(assignment));
 
-    await this.executeHooks('afterUpdate', { properties, options });
+    builder.return(options.returning ? varName : 'count(*) AS count');
 
-    return 1; // AGE doesn't return update count easily
+    return builder.build();
   }
 
   /**
-   * Delete entities
+   * Start a delete query matching the elements to delete as `n`
    * @param {Object} options - Delete options
-   * @returns {Promise<number>} Number of deleted entities
+   * @param {Object} params - Parameter map the where values are bound into
+   * @returns {CypherQueryBuilder} Query builder
    */
-  async destroy(options = {}) {
-    await this.executeHooks('beforeDelete', options);
-
-    const cypherQuery = this._buildDeleteQuery(options);
-    const query = GraphUtils.buildAGEQuery(this.options.graphName, cypherQuery);
+  _buildDeleteMatch(options, params = {}) {
+    const varName = 'n';
+    const builder = CypherFunctions.queryBuilder()
+      .match(this._matchPattern(varName));
 
-    await this.sequelize.query(query, {
-      type: this.sequelize.QueryTypes.SELECT
-    });
+    // force: true hard-deletes soft-deleted entities too
+    this._applyWhere(builder, options.force ? { ...options, paranoid: false } : options, varName, params);
 
-    await this.executeHooks('afterDelete', options);
+    return builder;
+  }
 
-    return 1; // AGE doesn't return delete count easily
+  /**
+   * Build WHERE clause from options
+   *
+   * Values are never written into the query text: each one is added to
+   * `params` and referenced as `$pN`. Property names are validated and
+   * escaped.
+   *
+   * Conditions are ANDed; `$or`, `$and` and `$not` group them, at the top
+   * level or per property:
+   *
+   *   { $or: [{ name: 'a' }, { age: { $gt: 30 } }] }
+   *   { age: { $or: [{ $lt: 18 }, { $gt: 65 }] } }
+   *
+   * @param {Object} where - Where conditions
+   * @param {string} varName - Variable name
+   * @param {Object} params - Parameter map the values are bound into
+   * @returns {string} WHERE clause
+   */
+  _buildWhereClause(where, varName = 'n', params = {}) {
+    return this._buildWhereConditions(where, varName, params).join(' AND ');
   }
 
   /**
-   * Count entities
-   * @param {Object} options - Count options
-   * @returns {Promise<number>} Count of entities
+   * Build the conditions of a where object
+   * @param {Object} where - Where conditions
+   * @param {string} varName - Variable name
+   * @param {Object} params - Parameter map the values are bound into
+   * @returns {Array<string>} Conditions to AND together
    */
-  async count(options = {}) {
-    const builder = CypherFunctions.queryBuilder()
-      .match(`(n:${this.label})`);
+  _buildWhereConditions(where, varName, params) {
+    const conditions = [];
 
-    if (options.where) {
-      const whereClause = this._buildWhereClause(options.where);
-      if (whereClause) {
-        builder.where(whereClause);
+    Object.entries(where).forEach(([key, value]) => {
+      if (key === '$or' || key === '$and') {
+        const groups = this._toGroupList(key, value)
+          .map(item => this._buildWhereConditions(item, varName, params));
+        conditions.push(this._joinGroups(groups, key === '$or' ? 'OR' : 'AND'));
+        return;
       }
-    }
 
-    builder.return('count(n) as count');
+      if (key === '$not') {
+        conditions.push(`NOT ${this._joinGroups([this._buildWhereConditions(value, varName, params)], 'AND')}`);
+        return;
+      }
 
-    const query = GraphUtils.buildAGEQuery(this.options.graphName, builder.build());
-    const results = await this.sequelize.query(query, {
-      type: this.sequelize.QueryTypes.SELECT
-    });
+      if (key.startsWith('$')) {
+        throw new Error(`Unknown where operator: ${key}`);
+      }
 
-    if (results.length > 0 && results[0].count) {
-      const parsed = GraphUtils.parseAGEResult([results[0].count]);
-      return parsed[0] || 0;
-    }
+      const property = this._propertyRef(varName, key);
 
-    return 0;
-  }
+      if (value === undefined) {
+        throw new Error(`WHERE parameter "${key}" has invalid "undefined" value`);
+      }
 
-  /**
-   * Build create vertex query
-   * @param {Object} properties - Properties
-   * @returns {string} Cypher query
-   */
-  _buildCreateVertexQuery(properties) {
-    const pattern = CypherFunctions.vertex('n', this.label, properties);
-    return CypherFunctions.queryBuilder()
-      .create(pattern)
-      .return('n')
-      .build();
+      conditions.push(...this._buildPropertyConditions(property, value, params));
+    });
+
+    return conditions;
   }
 
   /**
-   * Build create edge query
-   * @param {Object} properties - Properties
-   * @param {Object} options - Options with from/to vertex info
-   * @returns {string} Cypher query
+   * Build the conditions on a single property
+   * @param {string} property - Escaped property reference
+   * @param {*} value - Value or operator object
+   * @param {Object} params - Parameter map the values are bound into
+   * @returns {Array<string>} Conditions to AND together
    */
-  _buildCreateEdgeQuery(properties, options) {
-    const fromId = options.from || options.fromId;
-    const toId = options.to || options.toId;
-
-    if (!fromId || !toId) {
-      throw new Error('Edge creation requires "from" and "to" vertex IDs');
+  _buildPropertyConditions(property, value, params) {
+    if (value === null) {
+      return [`${property} IS NULL`];
     }
 
-    const builder = CypherFunctions.queryBuilder()
-      .match(`(a), (b)`)
-      .where(`id(a) = ${fromId} AND id(b) = ${toId}`)
-      .create(`(a)-[r:${this.label} ${CypherFunctions.formatProperties(properties)}]->(b)`)
-      .return('r');
+    if (this._isOperatorObject(value)) {
+      // Handle operators like { $gt: 5 }, { $lt: 10 }, etc.
+      return Object.entries(value).map(([op, val]) => this._buildCondition(property, op, val, params));
+    }
 
-    return builder.build();
+    return [`${property} = ${this._bindValue(params, value)}`];
   }
 
   /**
-   * Build find query
-   * @param {Object} options - Query options
-   * @returns {string} Cypher query
+   * Build a single operator condition
+   * @param {string} property - Escaped property reference
+   * @param {string} op - Sequelize-style operator
+   * @param {*} value - Operand
+   * @param {Object} params - Parameter map the operand is bound into
+   * @returns {string} Condition
    */
-  _buildFindQuery(options) {
-    const varName = 'n';
-    const builder = CypherFunctions.queryBuilder()
-      .match(`(${varName}:${this.label})`);
+  _buildCondition(property, op, value, params) {
+    if (value === undefined) {
+      throw new Error(`Operator ${op} has invalid "undefined" value`);
+    }
 
-    if (options.where) {
-      const whereClause = this._buildWhereClause(options.where, varName);
-      if (whereClause) {
-        builder.where(whereClause);
+    switch (op) {
+    case '$or':
+    case '$and': {
+      const groups = this._toGroupList(op, value)
+        .map(item => this._buildPropertyConditions(property, item, params));
+      return this._joinGroups(groups, op === '$or' ? 'OR' : 'AND');
+    }
+    case '$not':
+      if (value === null) {
+        return `${property} IS NOT NULL`;
+      }
+      return `NOT ${this._joinGroups([this._buildPropertyConditions(property, value, params)], 'AND')}`;
+    case '$like':
+    case '$iLike':
+      return `${property} =~ ${this._bindValue(params, this._likeToRegex(value, op === '$iLike'))}`;
+    case '$notLike':
+    case '$notILike':
+      return `NOT ${property} =~ ${this._bindValue(params, this._likeToRegex(value, op === '$notILike'))}`;
+    case '$includes':
+      return `${this._bindValue(params, value)} IN ${property}`;
+    case '$notIncludes':
+      return `NOT ${this._bindValue(params, value)} IN ${property}`;
+    case '$includesAll':
+    case '$includesAny': {
+      if (!Array.isArray(value)) {
+        throw new Error(`Operator ${op} requires an array`);
       }
+      const groups = value.map(item => [`${this._bindValue(params, item)} IN ${property}`]);
+      return this._joinGroups(groups, op === '$includesAll' ? 'AND' : 'OR');
     }
-
-    if (options.order) {
-      builder.orderBy(this._buildOrderClause(options.order, varName));
+    default:
+      break;
     }
 
-    if (options.limit) {
-      builder.limit(options.limit);
+    const operator = this._mapOperator(op);
+
+    if (value === null) {
+      if (op === '$eq') return `${property} IS NULL`;
+      if (op === '$ne') return `${property} IS NOT NULL`;
     }
 
-    if (options.skip || options.offset) {
-      builder.skip(options.skip || options.offset);
+    if ((operator === 'IN' || operator === 'NOT IN') && !Array.isArray(value)) {
+      throw new Error(`Operator ${op} requires an array`);
     }
 
-    builder.return(varName);
+    if (operator === 'NOT IN') {
+      return `NOT ${property} IN ${this._bindValue(params, value)}`;
+    }
 
-    return builder.build();
+    return `${property} ${operator} ${this._bindValue(params, value)}`;
   }
 
   /**
-   * Build update query
-   * @param {Object} properties - Properties to update
-   * @param {Object} options - Update options
-   * @returns {string} Cypher query
+   * Normalize the operand of $or/$and to a list of where objects
+   *
+   * An object operand is split into one entry per key, so
+   * `{ $or: { a: 1, b: 2 } }` matches either property.
+   *
+   * @param {string} op - Group operator
+   * @param {Array|Object} value - Operand
+   * @returns {Array<Object>} Group members
    */
-  _buildUpdateQuery(properties, options) {
-    const varName = 'n';
-    const builder = CypherFunctions.queryBuilder()
-      .match(`(${varName}:${this.label})`);
+  _toGroupList(op, value) {
+    if (Array.isArray(value)) {
+      return value;
+    }
+    if (value !== null && typeof value === 'object') {
+      return Object.entries(value).map(([key, val]) => ({ [key]: val }));
+    }
+    throw new Error(`Operator ${op} requires an array or object`);
+  }
 
-    if (options.where) {
-      const whereClause = this._buildWhereClause(options.where, varName);
-      if (whereClause) {
-        builder.where(whereClause);
-      }
+  /**
+   * Join condition groups with AND/OR
+   * @param {Array<Array<string>>} groups - Conditions per group, ANDed within a group
+   * @param {string} joiner - 'AND' or 'OR'
+   * @returns {string} Parenthesized condition
+   */
+  _joinGroups(groups, joiner) {
+    const clauses = groups
+      .filter(conditions => conditions.length > 0)
+      .map(conditions => (conditions.length > 1 ? `(${conditions.join(' AND ')})` : conditions[0]));
+
+    if (clauses.length === 0) {
+      // Like Sequelize: an empty $or matches nothing, an empty $and everything
+      return joiner === 'OR' ? 'false' : 'true';
     }
 
-    // Build SET clauses for each property
-    Object.entries(properties).forEach(([key, value]) => {
-      const formattedValue = typeof value === 'string'
-        ? `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
-        : JSON.stringify(value);
-      builder.set(`${varName}.${key} = ${formattedValue}`);
-    });
+    return clauses.length > 1 ? `(${clauses.join(` ${joiner} `)})` : clauses[0];
+  }
 
-    builder.return(varName);
+  /**
+   * Convert a SQL LIKE pattern to an anchored regular expression
+   * @param {string} pattern - LIKE pattern with % and _ wildcards
+   * @param {boolean} caseInsensitive - Match case-insensitively
+   * @returns {string} Regular expression for =~
+   */
+  _likeToRegex(pattern, caseInsensitive = false) {
+    if (typeof pattern !== 'string') {
+      throw new Error('LIKE patterns must be strings');
+    }
 
-    return builder.build();
+    const body = pattern
+      .split('')
+      .map(char => {
+        if (char === '%') return '.*';
+        if (char === '_') return '.';
+        return /[\\^$.|?*+()[\]{}]/.test(char) ? `\\${char}` : char;
+      })
+      .join('');
+
+    return `${caseInsensitive ? '(?i)' : ''}^${body}$`;
   }
 
   /**
-   * Build delete query
-   * @param {Object} options - Delete options
-   * @returns {string} Cypher query
+   * Check whether a where value is an operator object ({ $gt: 5 })
+   * @param {*} value - Where value
+   * @returns {boolean} True for plain objects with operator keys
    */
-  _buildDeleteQuery(options) {
-    const varName = 'n';
-    const builder = CypherFunctions.queryBuilder()
-      .match(`(${varName}:${this.label})`);
-
-    if (options.where) {
-      const whereClause = this._buildWhereClause(options.where, varName);
-      if (whereClause) {
-        builder.where(whereClause);
-      }
+  _isOperatorObject(value) {
+    if (typeof value !== 'object' || Array.isArray(value) || value instanceof Date) {
+      return false;
     }
+    return Object.keys(value).some(key => key.startsWith('$'));
+  }
 
-    builder.delete(varName);
+  /**
+   * Add a value to the parameter map
+   * @param {Object} params - Parameter map
+   * @param {*} value - Value to bind
+   * @returns {string} Parameter reference
+   */
+  _bindValue(params, value) {
+    const name = `p${Object.keys(params).length}`;
+    params[name] = value;
+    return `$${name}`;
+  }
 
-    return builder.build();
+  /**
+   * Bind values as a property map
+   * @param {Object} values - Property values
+   * @param {Object} params - Parameter map
+   * @returns {string} ` {`k`: $p0, ...}`, or '' without values
+   */
+  _bindPropertyMap(values, params) {
+    const entries = Object.entries(values).map(([key, value]) => {
+      this._propertyRef('n', key); // rejects unsafe names
+      return `${CypherFunctions.escapeName(key)}: ${this._bindValue(params, value)}`;
+    });
+    return entries.length > 0 ? ` {${entries.join(', ')}}` : '';
   }
 
   /**
-   * Build WHERE clause from options
-   * @param {Object} where - Where conditions
+   * Bind values as SET assignments
    * @param {string} varName - Variable name
-   * @returns {string} WHERE clause
+   * @param {Object} values - Property values
+   * @param {Object} params - Parameter map
+   * @returns {Array<string>} `n.`k` = $p0` assignments
    */
-  _buildWhereClause(where, varName = 'n') {
-    const conditions = [];
+  _bindAssignments(varName, values, params) {
+    return Object.entries(values).map(([key, value]) =>
+      `${this._propertyRef(varName, key)} = ${this._bindValue(params, value)}`);
+  }
 
-    Object.entries(where).forEach(([key, value]) => {
-      if (typeof value === 'string') {
-        conditions.push(`${varName}.${key} = "${value.replace(/"/g, '\\"')}"`);
-      } else if (typeof value === 'number') {
-        conditions.push(`${varName}.${key} = ${value}`);
-      } else if (typeof value === 'boolean') {
-        conditions.push(`${varName}.${key} = ${value}`);
-      } else if (value === null) {
-        conditions.push(`${varName}.${key} IS NULL`);
-      } else if (typeof value === 'object') {
-        // Handle operators like { $gt: 5 }, { $lt: 10 }, etc.
-        Object.entries(value).forEach(([op, val]) => {
-          const operator = this._mapOperator(op);
-          const formattedVal = typeof val === 'string' ? `"${val}"` : val;
-          conditions.push(`${varName}.${key} ${operator} ${formattedVal}`);
-        });
-      }
-    });
+  /**
+   * Build an escaped property reference
+   *
+   * `$` is rejected: it is reserved for operators, and `$$` would end the
+   * dollar-quoted query passed to cypher().
+   *
+   * @param {string} varName - Variable name
+   * @param {string} key - Property name
+   * @returns {string} Property reference
+   */
+  _propertyRef(varName, key) {
+    if (typeof key !== 'string' || key.length === 0 || key.includes('$')) {
+      throw new Error(`Invalid property name: ${JSON.stringify(key)}`);
+    }
+    return `${varName}.${CypherFunctions.escapeName(key)}`;
+  }
 
-    return conditions.join(' AND ');
+  /**
+   * Validate a LIMIT/SKIP count
+   * @param {*} value - Count
+   * @param {string} name - Option name for the error message
+   * @returns {number} Count
+   */
+  _toCount(value, name) {
+    const count = Number(value);
+    if (!Number.isSafeInteger(count) || count < 0) {
+      throw new Error(`Invalid ${name}: ${JSON.stringify(value)}`);
+    }
+    return count;
   }
 
   /**
@@ -360,10 +2033,18 @@ class GraphModel {
       '$ne': '<>',
       '$eq': '=',
       '$in': 'IN',
-      '$notIn': 'NOT IN'
+      '$notIn': 'NOT IN',
+      '$startsWith': 'STARTS WITH',
+      '$endsWith': 'ENDS WITH',
+      '$contains': 'CONTAINS',
+      '$regex': '=~'
     };
 
-    return operatorMap[op] || '=';
+    if (!Object.prototype.hasOwnProperty.call(operatorMap, op)) {
+      throw new Error(`Unknown where operator: ${op}`);
+    }
+
+    return operatorMap[op];
   }
 
   /**
@@ -374,17 +2055,21 @@ class GraphModel {
    */
   _buildOrderClause(order, varName = 'n') {
     if (typeof order === 'string') {
-      return `${varName}.${order}`;
+      return this._propertyRef(varName, order);
     }
 
     if (Array.isArray(order)) {
       return order.map(item => {
         if (typeof item === 'string') {
-          return `${varName}.${item}`;
+          return this._propertyRef(varName, item);
         }
         if (Array.isArray(item)) {
-          const [field, direction] = item;
-          return `${varName}.${field} ${direction.toUpperCase()}`;
+          const [field, direction = 'ASC'] = item;
+          const upperDirection = String(direction).toUpperCase();
+          if (upperDirection !== 'ASC' && upperDirection !== 'DESC') {
+            throw new Error(`Invalid order direction: ${JSON.stringify(direction)}`);
+          }
+          return `${this._propertyRef(varName, field)} ${upperDirection}`;
         }
         return '';
       }).join(', ');
@@ -394,30 +2079,212 @@ class GraphModel {
   }
 
   /**
-   * Parse query result
-   * @param {Array} results - Raw results
-   * @returns {Object} Parsed result
+   * Normalize the orderBy option of paginate to `[property, direction]` pairs
+   * @param {Array|string} orderBy - Order specification
+   * @returns {Array<Array>} Pairs with an upper-case direction
    */
-  _parseResult(results) {
-    if (!results || results.length === 0) {
-      return null;
+  _normalizeKeysetOrder(orderBy) {
+    if (orderBy === undefined || orderBy === null) {
+      return [];
+    }
+
+    return (Array.isArray(orderBy) ? orderBy : [orderBy]).map(item => {
+      const [field, direction = 'ASC'] = Array.isArray(item) ? item : [item];
+      const upperDirection = String(direction).toUpperCase();
+      if (upperDirection !== 'ASC' && upperDirection !== 'DESC') {
+        throw new Error(`Invalid order direction: ${JSON.stringify(direction)}`);
+      }
+      this._propertyRef('n', field);
+      return [field, upperDirection];
+    });
+  }
+
+  /**
+   * Build the condition selecting rows after a cursor: greater (or, for
+   * DESC, smaller) on the first differing sort key
+   * @param {Array<Array>} order - Normalized order
+   * @param {string} direction - Direction of the id(n) tie-breaker
+   * @param {Array} values - Sort values and id from the cursor
+   * @param {Object} params - Parameter map the values are bound into
+   * @returns {string} Condition
+   */
+  _buildKeysetCondition(order, direction, values, params) {
+    const keys = [
+      ...order.map(([field, fieldDirection], index) => ({
+        ref: this._propertyRef('n', field),
+        direction: fieldDirection,
+        value: this._bindValue(params, values[index])
+      })),
+      { ref: 'id(n)', direction, value: GraphUtils.resolveId(values[order.length]) }
+    ];
+
+    const alternatives = keys.map((key, index) => {
+      const parts = keys.slice(0, index).map(previous => `${previous.ref} = ${previous.value}`);
+      parts.push(`${key.ref} ${key.direction === 'DESC' ? '<' : '>'} ${key.value}`);
+      return parts.length > 1 ? `(${parts.join(' AND ')})` : parts[0];
+    });
+
+    return alternatives.length > 1 ? `(${alternatives.join(' OR ')})` : alternatives[0];
+  }
+
+  /**
+   * Encode the sort key of a row as an opaque cursor
+   * @param {GraphInstance|Vertex|Edge} row - Last row of a page
+   * @param {Array<Array>} order - Normalized order
+   * @returns {string} base64url cursor
+   */
+  _encodeCursor(row, order) {
+    const properties = row instanceof GraphInstance ? row.dataValues : row.properties;
+    const values = order.map(([field]) => (properties[field] === undefined ? null : properties[field]));
+    values.push(String(row.id));
+
+    return Buffer.from(AGTYPE.stringify({ order, values })).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor made by _encodeCursor
+   * @param {string} cursor - base64url cursor
+   * @param {Array<Array>} order - Normalized order of the current query
+   * @returns {Array} Sort values followed by the id
+   * @throws {Error} If the cursor is malformed or made for another order
+   */
+  _decodeCursor(cursor, order) {
+    let decoded = null;
+    if (typeof cursor === 'string') {
+      try {
+        decoded = AGTYPE.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      } catch (error) {
+        decoded = null;
+      }
     }
+    if (!decoded || !Array.isArray(decoded.order) || !Array.isArray(decoded.values)) {
+      throw new Error('Invalid cursor');
+    }
+    if (JSON.stringify(decoded.order) !== JSON.stringify(order)) {
+      throw new Error('Cursor does not match the orderBy of this query');
+    }
+    if (decoded.values.length !== order.length + 1) {
+      throw new Error('Invalid cursor');
+    }
+    return decoded.values;
+  }
 
-    const parsed = GraphUtils.parseAGEResult(results.map(r => r.result || r));
-    return parsed[0] || null;
+  /**
+   * Parse query result
+   * @param {Array} results - Raw results
+   * @param {Object} options - Query options (raw)
+   * @returns {GraphInstance|Object|null} Parsed result
+   */
+  _parseResult(results, options = {}) {
+    return this._parseResults(results, options)[0] || null;
   }
 
   /**
    * Parse query results
    * @param {Array} results - Raw results
-   * @returns {Array} Parsed results
+   * @param {Object} options - Query options (raw)
+   * @returns {Array<GraphInstance|Object>} Parsed results
    */
-  _parseResults(results) {
+  _parseResults(results, options = {}) {
     if (!results || results.length === 0) {
       return [];
     }
 
-    return GraphUtils.parseAGEResult(results.map(r => r.result || r));
+    const parsed = GraphUtils.parseAGERows(results, this._rowParseOptions());
+    return this._wrapRows(parsed, options);
+  }
+
+  /**
+   * Options for GraphUtils.parseAGERows
+   * @returns {Object} { idType, parsed }
+   */
+  _rowParseOptions() {
+    return { idType: this.options.idType, parsed: hasAgtypeParser(this.sequelize) };
+  }
+
+  /**
+   * Wrap parsed find rows: the element, or `{ n, a, b, i0, ... }` for edges
+   * and includes
+   * @param {Array} rows - Parsed rows
+   * @param {Object} options - Query options (raw, include)
+   * @returns {Array<GraphInstance|Object>} Instances, or plain elements with `raw`
+   */
+  _wrapRows(rows, options = {}) {
+    const includes = this._normalizeIncludes(options.include);
+    if (includes.length > 0) {
+      return rows.map(row => this._withIncludes(row, includes, options));
+    }
+    if (options.raw) {
+      return rows;
+    }
+
+    return rows.map(row => {
+      if (row && row.n instanceof Edge) {
+        return this._toEdgeInstance(row);
+      }
+      return this._toInstance(row);
+    });
+  }
+
+  /**
+   * Wrap an edge row (`{ n, a, b }`) with its endpoint vertices
+   * @param {Object} row - Parsed row
+   * @returns {GraphInstance} Edge instance with `from` and `to`
+   */
+  _toEdgeInstance(row) {
+    const instance = this._toInstance(row.n);
+    [['from', row.a], ['to', row.b]].forEach(([side, vertex]) => {
+      const endpoint = this.endpoints[side];
+      instance[side] = endpoint && endpoint.model ? endpoint.model._toInstance(vertex) : vertex;
+    });
+    return instance;
+  }
+
+  /**
+   * Wrap a row returned with includes (`{ n, i0, ... }`), attaching the
+   * included vertices under their names
+   * @param {Object} row - Parsed row
+   * @param {Array<Object>} includes - Normalized includes
+   * @param {Object} options - Query options (raw)
+   * @returns {GraphInstance|Vertex} Element with its included vertices
+   */
+  _withIncludes(row, includes, options) {
+    const element = options.raw ? row.n : this._toInstance(row.n);
+
+    includes.forEach(include => {
+      const related = (row[include.varName] || [])
+        .map(vertex => (options.raw ? vertex : include.model._toInstance(vertex)));
+      const value = include.single ? related[0] || null : related;
+      if (options.raw) {
+        element[include.as] = value;
+      } else {
+        element._setIncluded(include.as, value);
+      }
+    });
+
+    return element;
+  }
+
+  /**
+   * Parse the result of a `RETURN count(...) AS count` query
+   * @param {Array} results - Raw results
+   * @returns {number} Count
+   */
+  _parseCount(results) {
+    const [count] = GraphUtils.parseAGERows(results, this._rowParseOptions());
+    return count ? Number(count) : 0;
+  }
+
+  /**
+   * Wrap a parsed vertex/edge in the model's instance class
+   * @param {*} element - Parsed value
+   * @returns {GraphInstance|*} Instance, or the value if it is not an element
+   */
+  _toInstance(element) {
+    if (element instanceof Vertex || element instanceof Edge) {
+      return GraphInstance.fromElement(this, element);
+    }
+    return element;
   }
 }
 
@@ -425,10 +2292,29 @@ class GraphModel {
  * Model registry and factory
  */
 class ModelRegistry {
-  constructor(sequelize, defaultGraphName = 'default_graph') {
+  /**
+   * Create a model registry
+   * @param {Object} sequelize - Sequelize instance
+   * @param {string} defaultGraphName - Graph used by models without a graphName
+   * @param {Object} defaultOptions - Options applied to every defined model
+   */
+  constructor(sequelize, defaultGraphName = 'default_graph', defaultOptions = {}) {
     this.sequelize = sequelize;
     this.defaultGraphName = defaultGraphName;
+    this.defaultOptions = defaultOptions;
     this.models = new Map();
+    this.hooks = createHookLists();
+  }
+
+  /**
+   * Add a global hook, run for every model of the registry after the
+   * model's own hooks
+   * @param {string} hookType - Type of hook
+   * @param {Function} fn - Hook function, called with (data, model)
+   * @throws {Error} If the hook type is unknown
+   */
+  addHook(hookType, fn) {
+    addHookTo(this.hooks, hookType, fn);
   }
 
   /**
@@ -440,11 +2326,13 @@ class ModelRegistry {
    */
   define(label, attributes = {}, options = {}) {
     const modelOptions = {
+      ...this.defaultOptions,
       graphName: options.graphName || this.defaultGraphName,
       ...options
     };
 
     const model = new GraphModel(this.sequelize, label, attributes, modelOptions);
+    model.globalHooks = this.hooks;
     this.models.set(label, model);
 
     return model;
@@ -4,6 +4,8 @@
  * Provides utilities for optimizing graph queries
  */
 
+const { AGTYPE } = require('../types');
+
 /**
  * Query Analyzer
  * Analyzes queries and provides optimization suggestions
@@ -196,6 +198,25 @@ class IndexManager {
     }
   }
 
+  /**
+   * Build the index statement for a model's primaryKey property
+   *
+   * findByPk on a model with a primaryKey matches that property, which scans
+   * every element of the label unless it is indexed.
+   *
+   * @param {GraphModel} model - Graph model
+   * @returns {string|null} CREATE INDEX statement, null without a primaryKey
+   */
+  primaryKeyIndex(model) {
+    if (!model.primaryKey) {
+      return null;
+    }
+
+    const property = AGTYPE.stringify(model.primaryKey).replace(/'/g, '\'\'');
+    return `CREATE INDEX ON ${model.options.graphName}."${model.label}" `
+      + `(ag_catalog.agtype_access_operator(properties, '${property}'::agtype))`;
+  }
+
   /**
    * List all indexes
    * @returns {Promise<Array>} List of indexes
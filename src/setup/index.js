@@ -0,0 +1,176 @@
+/**
+ * Apache AGE Setup
+ *
+ * Prepares a PostgreSQL database for graph operations
+ */
+
+const { GraphUtils } = require('../utils');
+
+/**
+ * Name of the Sequelize hook that prepares pooled connections
+ */
+const SESSION_HOOK_NAME = 'apacheAGESession';
+
+/**
+ * Setup Manager
+ * Creates the AGE extension and graph the plugin works with
+ */
+class SetupManager {
+  /**
+   * Create a setup manager
+   * @param {Object} sequelize - Sequelize instance
+   * @param {string} graphName - Graph name
+   * @param {Object} options - Setup options
+   */
+  constructor(sequelize, graphName = 'default_graph', options = {}) {
+    this.sequelize = sequelize;
+    this.graphName = graphName;
+    this.options = {
+      ...options,
+      searchPath: options.searchPath || 'ag_catalog, "$user", public',
+      skipLoad: options.skipLoad === true
+    };
+  }
+
+  /**
+   * Get the statements that prepare a database session for AGE
+   * @returns {Array<string>} SQL statements
+   */
+  sessionStatements() {
+    const statements = [];
+
+    // Managed services preload AGE through shared_preload_libraries
+    if (!this.options.skipLoad) {
+      statements.push('LOAD \'age\';');
+    }
+
+    statements.push(`SET search_path = ${this.options.searchPath};`);
+
+    return statements;
+  }
+
+  /**
+   * Prepare a raw database connection for AGE
+   * @param {Object} connection - Driver connection (pg Client)
+   * @returns {Promise<void>}
+   */
+  async prepareConnection(connection) {
+    for (const statement of this.sessionStatements()) {
+      await connection.query(statement);
+    }
+  }
+
+  /**
+   * Register an `afterConnect` hook so every new pooled connection is
+   * prepared before Sequelize hands it out. Connections opened before the
+   * hook was registered are not affected.
+   * @returns {SetupManager} this
+   */
+  registerConnectionHooks() {
+    this.sequelize.removeHook('afterConnect', SESSION_HOOK_NAME);
+    this.sequelize.addHook('afterConnect', SESSION_HOOK_NAME, connection => this.prepareConnection(connection));
+    return this;
+  }
+
+  /**
+   * Remove the `afterConnect` hook registered by this plugin
+   * @returns {SetupManager} this
+   */
+  unregisterConnectionHooks() {
+    this.sequelize.removeHook('afterConnect', SESSION_HOOK_NAME);
+    return this;
+  }
+
+  /**
+   * Prepare the database: create and load the extension, set the search path
+   * and create the graph. Every step is skipped when already done.
+   * @param {Object} options - Bootstrap options
+   * @param {boolean} options.createGraph - Create the graph if it does not exist
+   * @returns {Promise<Object>} Report of the performed steps
+   */
+  async bootstrap(options = {}) {
+    const createGraph = options.createGraph !== false;
+
+    if (!GraphUtils.isValidGraphName(this.graphName)) {
+      throw new Error(`Invalid graph name: ${this.graphName}`);
+    }
+
+    const report = {
+      graphName: this.graphName,
+      extensionCreated: false,
+      extensionLoaded: false,
+      searchPath: null,
+      graphCreated: false
+    };
+
+    const extension = await this._getExtension();
+
+    if (!extension) {
+      throw new Error(
+        'The Apache AGE extension is not installed on this PostgreSQL server. ' +
+        'Install it first, see https://age.apache.org/'
+      );
+    }
+
+    if (!extension.installed_version) {
+      try {
+        await this.sequelize.query('CREATE EXTENSION IF NOT EXISTS age;');
+      } catch (error) {
+        throw new Error(`Could not create the Apache AGE extension: ${error.message}`);
+      }
+      report.extensionCreated = true;
+    }
+
+    for (const statement of this.sessionStatements()) {
+      await this.sequelize.query(statement);
+    }
+    report.extensionLoaded = !this.options.skipLoad;
+    report.searchPath = this.options.searchPath;
+
+    if (!(await this.graphExists())) {
+      if (!createGraph) {
+        throw new Error(`Graph "${this.graphName}" does not exist. Enable autoCreateGraph or create it with create_graph()`);
+      }
+
+      await this.sequelize.query('SELECT ag_catalog.create_graph($1);', {
+        bind: [this.graphName]
+      });
+      report.graphCreated = true;
+    }
+
+    return report;
+  }
+
+  /**
+   * Check if the graph exists
+   * @returns {Promise<boolean>} True if the graph exists
+   */
+  async graphExists() {
+    const results = await this.sequelize.query(
+      'SELECT name FROM ag_catalog.ag_graph WHERE name = $1;',
+      {
+        bind: [this.graphName],
+        type: this.sequelize.QueryTypes.SELECT
+      }
+    );
+
+    return results.length > 0;
+  }
+
+  /**
+   * Look up the AGE extension in the server catalog
+   * @returns {Promise<Object|null>} Extension row or null if not available
+   */
+  async _getExtension() {
+    const results = await this.sequelize.query(
+      'SELECT name, default_version, installed_version FROM pg_available_extensions WHERE name = \'age\';',
+      { type: this.sequelize.QueryTypes.SELECT }
+    );
+
+    return results.length > 0 ? results[0] : null;
+  }
+}
+
+module.exports = {
+  SetupManager
+};
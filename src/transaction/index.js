@@ -5,6 +5,7 @@
  */
 
 const { GraphUtils } = require('../utils');
+const { hasAgtypeParser } = require('../types');
 
 /**
  * Graph Transaction class
@@ -15,10 +16,13 @@ class GraphTransaction {
    * Create a graph transaction
    * @param {Object} sequelizeTransaction - Underlying Sequelize transaction
    * @param {string} graphName - Graph name
+   * @param {Object} options - Transaction options
+   * @param {string} options.idType - Type of parsed graph ids
    */
-  constructor(sequelizeTransaction, graphName) {
+  constructor(sequelizeTransaction, graphName, options = {}) {
     this.transaction = sequelizeTransaction;
     this.graphName = graphName;
+    this.idType = options.idType || 'number';
     this.operations = [];
     this.committed = false;
     this.rolledBack = false;
@@ -28,6 +32,7 @@ class GraphTransaction {
    * Execute a Cypher query within the transaction
    * @param {string} cypherQuery - Cypher query to execute
    * @param {Object} options - Query options
+   * @param {Array<string>} options.columns - Result column names, derived from RETURN by default
    * @returns {Promise<Array>} Query results
    */
   async executeCypher(cypherQuery, options = {}) {
@@ -35,7 +40,8 @@ class GraphTransaction {
       throw new Error('Transaction has already been committed or rolled back');
     }
 
-    const query = GraphUtils.buildAGEQuery(this.graphName, cypherQuery);
+    const { columns, ...queryOptions } = options;
+    const query = GraphUtils.buildAGEQuery(this.graphName, cypherQuery, { columns });
 
     this.operations.push({ query, cypherQuery, timestamp: Date.now() });
 
@@ -43,10 +49,10 @@ class GraphTransaction {
     const results = await sequelize.query(query, {
       transaction: this.transaction,
       type: sequelize.QueryTypes.SELECT,
-      ...options
+      ...queryOptions
     });
 
-    return GraphUtils.parseAGEResult(results.map(r => r.result || r));
+    return GraphUtils.parseAGERows(results, { idType: this.idType, parsed: hasAgtypeParser(sequelize) });
   }
 
   /**
@@ -70,13 +76,15 @@ class GraphTransaction {
   /**
    * Create an edge within the transaction
    * @param {string} label - Edge label
-   * @param {string|number} fromId - Source vertex ID
-   * @param {string|number} toId - Target vertex ID
+   * @param {Object|string|number} from - Source vertex or its ID
+   * @param {Object|string|number} to - Target vertex or its ID
    * @param {Object} properties - Edge properties
    * @returns {Promise<Object>} Created edge
    */
-  async createEdge(label, fromId, toId, properties = {}) {
+  async createEdge(label, from, to, properties = {}) {
     const { CypherFunctions } = require('../functions');
+    const fromId = GraphUtils.resolveId(from);
+    const toId = GraphUtils.resolveId(to);
     const cypherQuery = CypherFunctions.queryBuilder()
       .match('(a), (b)')
       .where(`id(a) = ${fromId} AND id(b) = ${toId}`)
@@ -119,9 +127,12 @@ class GraphTransaction {
    * Delete vertices/edges within the transaction
    * @param {string} pattern - Match pattern
    * @param {string} whereClause - WHERE clause
+   * @param {Object} options - Delete options
+   * @param {boolean} options.detach - Also remove relationships (default true);
+   *   with false, AGE rejects vertices that still have edges
    * @returns {Promise<void>}
    */
-  async delete(pattern, whereClause = null) {
+  async delete(pattern, whereClause = null, options = {}) {
     const { CypherFunctions } = require('../functions');
     const builder = CypherFunctions.queryBuilder().match(pattern);
 
@@ -129,10 +140,13 @@ class GraphTransaction {
       builder.where(whereClause);
     }
 
-    // Use DETACH DELETE to remove vertices and their relationships
-    const query = builder.build().replace('MATCH', 'MATCH') + ' DETACH DELETE n';
+    if (options.detach === false) {
+      builder.delete('n');
+    } else {
+      builder.detachDelete('n');
+    }
 
-    await this.executeCypher(query);
+    await this.executeCypher(builder.build());
   }
 
   /**
@@ -190,10 +204,12 @@ class TransactionManager {
    * Create a transaction manager
    * @param {Object} sequelize - Sequelize instance
    * @param {string} graphName - Default graph name
+   * @param {Object} options - Options passed to every transaction (idType)
    */
-  constructor(sequelize, graphName = 'default_graph') {
+  constructor(sequelize, graphName = 'default_graph', options = {}) {
     this.sequelize = sequelize;
     this.graphName = graphName;
+    this.options = options;
   }
 
   /**
@@ -203,7 +219,7 @@ class TransactionManager {
    */
   async startTransaction(options = {}) {
     const sequelizeTransaction = await this.sequelize.transaction(options);
-    return new GraphTransaction(sequelizeTransaction, this.graphName);
+    return new GraphTransaction(sequelizeTransaction, this.graphName, this.options);
   }
 
   /**
@@ -6,29 +6,567 @@
  * - EDGE: Graph edge/relationship
  * - PATH: Graph path (sequence of vertices and edges)
  * - AGTYPE: Apache AGE's JSON-like data type
+ *
+ * and the classes parsed graph elements are returned as: Vertex, Edge, Path
  */
 
+const { DataTypes: SequelizeDataTypes } = require('sequelize');
+
+// DataTypes.ABSTRACT is wrapped in a Proxy that does not forward new.target,
+// subclasses have to extend the underlying class
+const ABSTRACT = SequelizeDataTypes.ABSTRACT.prototype.constructor;
+
 /**
- * VERTEX data type
- * Represents a node in the graph
+ * Compare two graph ids regardless of their representation
+ * @param {number|bigint|string} a - First id
+ * @param {number|bigint|string} b - Second id
+ * @returns {boolean} True if both ids are set and equal
  */
-class VERTEX {
-  constructor() {
-    this.type = 'VERTEX';
+function idEquals(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return false;
+  }
+  return String(a) === String(b);
+}
+
+/**
+ * Graph vertex as returned by AGE
+ */
+class Vertex {
+  /**
+   * Create a vertex
+   * @param {number|bigint|string|null} id - Graph id (null until stored)
+   * @param {string} label - Vertex label
+   * @param {Object} properties - Vertex properties
+   */
+  constructor(id, label, properties = {}) {
+    this.id = id;
+    this.label = label;
+    this.properties = properties;
+  }
+
+  /**
+   * Check if another vertex has the same id
+   * @param {Vertex} other - Vertex to compare
+   * @returns {boolean} True if both are the same vertex
+   */
+  equals(other) {
+    return other instanceof Vertex && idEquals(this.id, other.id);
+  }
+
+  /**
+   * Plain representation
+   * @returns {Object} Vertex data
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      label: this.label,
+      properties: this.properties
+    };
+  }
+}
+
+/**
+ * Graph edge as returned by AGE
+ */
+class Edge {
+  /**
+   * Create an edge
+   * @param {number|bigint|string|null} id - Graph id (null until stored)
+   * @param {string} label - Edge label
+   * @param {number|bigint|string} startId - Start vertex id
+   * @param {number|bigint|string} endId - End vertex id
+   * @param {Object} properties - Edge properties
+   */
+  constructor(id, label, startId, endId, properties = {}) {
+    this.id = id;
+    this.label = label;
+    this.startId = startId;
+    this.endId = endId;
+    this.properties = properties;
+  }
+
+  /**
+   * Check if another edge has the same id
+   * @param {Edge} other - Edge to compare
+   * @returns {boolean} True if both are the same edge
+   */
+  equals(other) {
+    return other instanceof Edge && idEquals(this.id, other.id);
+  }
+
+  /**
+   * Plain representation
+   * @returns {Object} Edge data
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      label: this.label,
+      startId: this.startId,
+      endId: this.endId,
+      properties: this.properties
+    };
   }
+}
 
+/**
+ * Graph path: alternating vertices and edges, starting and ending with a vertex
+ */
+class Path {
+  /**
+   * Create a path
+   * @param {Array<Vertex|Edge>} elements - Alternating vertices and edges
+   */
+  constructor(elements = []) {
+    this.elements = elements;
+  }
+
+  /**
+   * Number of edges in the path (Cypher `length(p)`)
+   * @returns {number} Path length
+   */
+  get length() {
+    return this.edges().length;
+  }
+
+  /**
+   * Get the vertices of the path in order
+   * @returns {Array<Vertex>} Vertices
+   */
+  vertices() {
+    return this.elements.filter((_element, index) => index % 2 === 0);
+  }
+
+  /**
+   * Get the edges of the path in order
+   * @returns {Array<Edge>} Edges
+   */
+  edges() {
+    return this.elements.filter((_element, index) => index % 2 === 1);
+  }
+
+  /**
+   * Check if another path has the same elements
+   * @param {Path} other - Path to compare
+   * @returns {boolean} True if both paths traverse the same elements
+   */
+  equals(other) {
+    return other instanceof Path &&
+      other.elements.length === this.elements.length &&
+      this.elements.every((element, index) => element.equals(other.elements[index]));
+  }
+
+  /**
+   * Plain representation
+   * @returns {Array<Object>} Path elements
+   */
+  toJSON() {
+    return this.elements.map(element => element.toJSON());
+  }
+}
+
+/**
+ * Graph element fields that hold graphids
+ */
+const ID_KEYS = ['id', 'start_id', 'end_id'];
+
+/**
+ * Integer text whose conversion is deferred until the enclosing object is
+ * known to be a vertex/edge (graphids) or a plain map (regular numbers)
+ */
+class RawInteger {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+/**
+ * Parser for the text output of agtype values
+ *
+ * agtype is a superset of JSON: graph elements carry a type annotation
+ * (`{...}::vertex`, `{...}::edge`, `[...]::path`), numbers may be annotated
+ * (`1.5::numeric`, `2::float`) and floats may be `NaN`, `Infinity` or
+ * `-Infinity`.
+ *
+ * graphids are 64-bit and exceed Number.MAX_SAFE_INTEGER for high label
+ * ids, so the `idType` option controls how `id`, `start_id` and `end_id` of
+ * vertices and edges are returned:
+ * - 'number' (default): JavaScript numbers
+ * - 'bigint': BigInt values; any other integer outside the safe range is
+ *   returned as BigInt as well
+ * - 'string': decimal strings
+ */
+class AgtypeParser {
+  /**
+   * Create a parser
+   * @param {string} text - agtype text
+   * @param {Object} options - Parser options
+   * @param {string} options.idType - 'number', 'bigint' or 'string'
+   */
+  constructor(text, options = {}) {
+    this.text = text;
+    this.pos = 0;
+    this.idType = options.idType || 'number';
+
+    if (!['number', 'bigint', 'string'].includes(this.idType)) {
+      throw new Error(`Invalid idType: ${this.idType}`);
+    }
+  }
+
+  /**
+   * Parse the complete text
+   * @returns {*} Parsed value
+   */
+  parse() {
+    const value = this._parseValue();
+    this._skipWhitespace();
+
+    if (this.pos < this.text.length) {
+      this._fail('Unexpected trailing characters');
+    }
+
+    return value;
+  }
+
+  /**
+   * Parse a value and its optional type annotation
+   * @param {string} key - Key of the value when inside an object
+   * @returns {*} Parsed value
+   */
+  _parseValue(key = null) {
+    this._skipWhitespace();
+
+    const char = this.text[this.pos];
+    let value;
+    let number = null;
+
+    if (char === '{') {
+      value = this._parseObject();
+    } else if (char === '[') {
+      value = this._parseArray();
+    } else if (char === '"') {
+      value = this._parseString();
+    } else if (char === '-' || (char >= '0' && char <= '9')) {
+      number = this._parseNumber();
+    } else {
+      value = this._parseKeyword();
+    }
+
+    const annotation = this._parseAnnotation();
+
+    if (number !== null) {
+      if (!annotation && ID_KEYS.includes(key) && /^-?\d+$/.test(number)) {
+        return new RawInteger(number);
+      }
+      return this._toNumber(number, annotation);
+    }
+
+    if (char === '{') {
+      this._resolveIds(value, annotation === 'vertex' || annotation === 'edge');
+    }
+
+    return annotation ? this._annotate(value, annotation) : value;
+  }
+
+  /**
+   * Convert deferred integer fields of an object
+   * @param {Object} object - Parsed object
+   * @param {boolean} isElement - Whether the object is a vertex/edge
+   */
+  _resolveIds(object, isElement) {
+    ID_KEYS.forEach(key => {
+      if (object[key] instanceof RawInteger) {
+        object[key] = isElement
+          ? this._toId(object[key].text)
+          : this._toNumber(object[key].text, null);
+      }
+    });
+  }
+
+  /**
+   * Convert graphid text according to the idType option
+   * @param {string} raw - Integer text
+   * @returns {number|bigint|string} Graph id
+   */
+  _toId(raw) {
+    if (this.idType === 'bigint') {
+      return BigInt(raw);
+    }
+    if (this.idType === 'string') {
+      return raw;
+    }
+    return Number(raw);
+  }
+
+  /**
+   * Parse an object
+   * @returns {Object} Parsed object
+   */
+  _parseObject() {
+    const result = {};
+    this.pos++;
+    this._skipWhitespace();
+
+    if (this.text[this.pos] === '}') {
+      this.pos++;
+      return result;
+    }
+
+    for (;;) {
+      this._skipWhitespace();
+      if (this.text[this.pos] !== '"') {
+        this._fail('Expected object key');
+      }
+      const key = this._parseString();
+
+      this._skipWhitespace();
+      this._expect(':');
+      result[key] = this._parseValue(key);
+
+      this._skipWhitespace();
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+      } else {
+        this._expect('}');
+        return result;
+      }
+    }
+  }
+
+  /**
+   * Parse an array
+   * @returns {Array} Parsed array
+   */
+  _parseArray() {
+    const result = [];
+    this.pos++;
+    this._skipWhitespace();
+
+    if (this.text[this.pos] === ']') {
+      this.pos++;
+      return result;
+    }
+
+    for (;;) {
+      result.push(this._parseValue());
+
+      this._skipWhitespace();
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+      } else {
+        this._expect(']');
+        return result;
+      }
+    }
+  }
+
+  /**
+   * Parse a JSON string
+   * @returns {string} Parsed string
+   */
+  _parseString() {
+    const start = this.pos;
+    this.pos++;
+
+    while (this.pos < this.text.length && this.text[this.pos] !== '"') {
+      this.pos += this.text[this.pos] === '\\' ? 2 : 1;
+    }
+
+    if (this.pos >= this.text.length) {
+      this._fail('Unterminated string');
+    }
+
+    this.pos++;
+    return JSON.parse(this.text.slice(start, this.pos));
+  }
+
+  /**
+   * Parse the raw text of a number
+   * @returns {string} Number text
+   */
+  _parseNumber() {
+    const match = /^-?(?:Infinity|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(this.text.slice(this.pos));
+
+    if (!match) {
+      this._fail('Invalid number');
+    }
+
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  /**
+   * Parse a keyword (true, false, null, NaN, Infinity)
+   * @returns {*} Keyword value
+   */
+  _parseKeyword() {
+    const keywords = {
+      true: true,
+      false: false,
+      null: null,
+      NaN: NaN,
+      Infinity: Infinity
+    };
+
+    const match = /^[A-Za-z]+/.exec(this.text.slice(this.pos));
+
+    if (!match || !Object.prototype.hasOwnProperty.call(keywords, match[0])) {
+      this._fail('Unexpected token');
+    }
+
+    this.pos += match[0].length;
+    return keywords[match[0]];
+  }
+
+  /**
+   * Parse an optional `::type` annotation
+   * @returns {string|null} Annotation name
+   */
+  _parseAnnotation() {
+    this._skipWhitespace();
+
+    if (!this.text.startsWith('::', this.pos)) {
+      return null;
+    }
+
+    this.pos += 2;
+    const match = /^[a-z]+/.exec(this.text.slice(this.pos));
+
+    if (!match) {
+      this._fail('Invalid type annotation');
+    }
+
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  /**
+   * Convert number text to a JavaScript value
+   * @param {string} raw - Number text
+   * @param {string|null} annotation - Type annotation
+   * @returns {number|bigint} Number value
+   */
+  _toNumber(raw, annotation) {
+    if (annotation && !['numeric', 'float', 'integer'].includes(annotation)) {
+      this._fail(`Type annotation ::${annotation} is not valid for numbers`);
+    }
+
+    const number = Number(raw);
+
+    if (this.idType === 'bigint' && /^-?\d+$/.test(raw) && !Number.isSafeInteger(number)) {
+      return BigInt(raw);
+    }
+
+    return number;
+  }
+
+  /**
+   * Apply a graph type annotation
+   * @param {*} value - Parsed value
+   * @param {string} annotation - Type annotation
+   * @returns {*} Annotated value
+   */
+  _annotate(value, annotation) {
+    switch (annotation) {
+    case 'vertex':
+      return new Vertex(value.id, value.label, value.properties || {});
+    case 'edge':
+      return new Edge(value.id, value.label, value.start_id, value.end_id, value.properties || {});
+    case 'path':
+      // Paths alternate vertex, edge, vertex, ...
+      return new Path(value);
+    case 'numeric':
+    case 'float':
+    case 'integer':
+      // NaN::numeric, Infinity::float
+      if (typeof value !== 'number') {
+        this._fail(`Type annotation ::${annotation} is not valid here`);
+      }
+      return value;
+    default:
+      return this._fail(`Unknown type annotation ::${annotation}`);
+    }
+  }
+
+  /**
+   * Consume an expected character
+   * @param {string} char - Expected character
+   */
+  _expect(char) {
+    if (this.text[this.pos] !== char) {
+      this._fail(`Expected "${char}"`);
+    }
+    this.pos++;
+  }
+
+  /**
+   * Skip whitespace
+   */
+  _skipWhitespace() {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+      this.pos++;
+    }
+  }
+
+  /**
+   * Throw a parse error for the current position
+   * @param {string} message - Error message
+   */
+  _fail(message) {
+    throw new SyntaxError(`Invalid agtype: ${message} at position ${this.pos}`);
+  }
+}
+
+/**
+ * Base class of the graph data types
+ * Stores values in an ag_catalog.agtype column, written with AGTYPE.stringify
+ */
+class AgeDataType extends ABSTRACT {
   toSql() {
     return 'ag_catalog.agtype';
   }
 
+  /**
+   * Stringify a value for an inline SQL literal
+   * @param {*} value - Value to store
+   * @returns {string} agtype text
+   */
+  _stringify(value) {
+    return AGTYPE.stringify(value);
+  }
+
+  /**
+   * Bind a value as a query parameter
+   * @param {*} value - Value to store
+   * @param {Object} options - Sequelize bind options
+   * @returns {string} Bind placeholder
+   */
+  _bindParam(value, options) {
+    return options.bindParam(AGTYPE.stringify(value));
+  }
+}
+
+/**
+ * VERTEX data type
+ * Represents a node in the graph
+ */
+class VERTEX extends AgeDataType {
+  constructor() {
+    super();
+    this.type = 'VERTEX';
+  }
+
   /**
    * Parse vertex from AGE format
    * @param {string} value - Raw vertex value
+   * @param {Object} options - Parser options (idType)
    * @returns {Object} Parsed vertex
    */
-  static parse(value) {
+  static parse(value, options = {}) {
     if (typeof value === 'string') {
-      return JSON.parse(value);
+      return new AgtypeParser(value, options).parse();
     }
     return value;
   }
@@ -37,14 +575,10 @@ class VERTEX {
    * Create vertex object
    * @param {string} label - Vertex label
    * @param {Object} properties - Vertex properties
-   * @returns {Object} Vertex object
+   * @returns {Vertex} Vertex without an id
    */
   static create(label, properties = {}) {
-    return {
-      label,
-      properties,
-      _type: 'vertex'
-    };
+    return new Vertex(null, label, properties);
   }
 }
 
@@ -52,23 +586,21 @@ class VERTEX {
  * EDGE data type
  * Represents a relationship/edge in the graph
  */
-class EDGE {
+class EDGE extends AgeDataType {
   constructor() {
+    super();
     this.type = 'EDGE';
   }
 
-  toSql() {
-    return 'ag_catalog.agtype';
-  }
-
   /**
    * Parse edge from AGE format
    * @param {string} value - Raw edge value
+   * @param {Object} options - Parser options (idType)
    * @returns {Object} Parsed edge
    */
-  static parse(value) {
+  static parse(value, options = {}) {
     if (typeof value === 'string') {
-      return JSON.parse(value);
+      return new AgtypeParser(value, options).parse();
     }
     return value;
   }
@@ -79,16 +611,10 @@ class EDGE {
    * @param {string|number} startId - Start vertex ID
    * @param {string|number} endId - End vertex ID
    * @param {Object} properties - Edge properties
-   * @returns {Object} Edge object
+   * @returns {Edge} Edge without an id
    */
   static create(label, startId, endId, properties = {}) {
-    return {
-      label,
-      start_id: startId,
-      end_id: endId,
-      properties,
-      _type: 'edge'
-    };
+    return new Edge(null, label, startId, endId, properties);
   }
 }
 
@@ -96,39 +622,40 @@ class EDGE {
  * PATH data type
  * Represents a path in the graph (sequence of vertices and edges)
  */
-class PATH {
+class PATH extends AgeDataType {
   constructor() {
+    super();
     this.type = 'PATH';
   }
 
-  toSql() {
-    return 'ag_catalog.agtype';
-  }
-
   /**
    * Parse path from AGE format
    * @param {string} value - Raw path value
+   * @param {Object} options - Parser options (idType)
    * @returns {Object} Parsed path
    */
-  static parse(value) {
+  static parse(value, options = {}) {
     if (typeof value === 'string') {
-      return JSON.parse(value);
+      return new AgtypeParser(value, options).parse();
     }
     return value;
   }
 
   /**
    * Create path object
-   * @param {Array} vertices - Array of vertices
-   * @param {Array} edges - Array of edges
-   * @returns {Object} Path object
+   * @param {Array<Vertex>} vertices - Array of vertices
+   * @param {Array<Edge>} edges - Array of edges connecting consecutive vertices
+   * @returns {Path} Path object
    */
   static create(vertices = [], edges = []) {
-    return {
-      vertices,
-      edges,
-      _type: 'path'
-    };
+    const elements = [];
+    vertices.forEach((vertex, index) => {
+      elements.push(vertex);
+      if (index < edges.length) {
+        elements.push(edges[index]);
+      }
+    });
+    return new Path(elements);
   }
 }
 
@@ -136,24 +663,22 @@ class PATH {
  * AGTYPE data type
  * Apache AGE's flexible JSON-like data type
  */
-class AGTYPE {
+class AGTYPE extends AgeDataType {
   constructor() {
+    super();
     this.type = 'AGTYPE';
   }
 
-  toSql() {
-    return 'ag_catalog.agtype';
-  }
-
   /**
    * Parse agtype from AGE format
    * @param {string} value - Raw agtype value
+   * @param {Object} options - Parser options (idType)
    * @returns {*} Parsed value
    */
-  static parse(value) {
+  static parse(value, options = {}) {
     if (typeof value === 'string') {
       try {
-        return JSON.parse(value);
+        return new AgtypeParser(value, options).parse();
       } catch (e) {
         return value;
       }
@@ -163,14 +688,56 @@ class AGTYPE {
 
   /**
    * Stringify value to agtype format
+   *
+   * BigInt values are written as plain integers so graphids keep their full
+   * precision. Strings are quoted, so every result is valid agtype input.
+   *
    * @param {*} value - Value to stringify
    * @returns {string} Stringified value
    */
   static stringify(value) {
-    if (typeof value === 'object') {
-      return JSON.stringify(value);
+    const text = AGTYPE._stringifyValue(value);
+    return text === undefined ? 'null' : text;
+  }
+
+  /**
+   * Stringify a nested value
+   * @param {*} value - Value to stringify
+   * @returns {string|undefined} Stringified value, undefined if not representable
+   */
+  static _stringifyValue(value) {
+    if (typeof value === 'bigint') {
+      return value.toString();
+    }
+
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      return String(value);
+    }
+
+    if (value !== null && typeof value === 'object') {
+      if (typeof value.toJSON === 'function') {
+        return AGTYPE._stringifyValue(value.toJSON());
+      }
+
+      if (Array.isArray(value)) {
+        const items = value.map(item => {
+          const text = AGTYPE._stringifyValue(item);
+          return text === undefined ? 'null' : text;
+        });
+        return `[${items.join(',')}]`;
+      }
+
+      const entries = [];
+      Object.entries(value).forEach(([key, item]) => {
+        const text = AGTYPE._stringifyValue(item);
+        if (text !== undefined) {
+          entries.push(`${JSON.stringify(key)}:${text}`);
+        }
+      });
+      return `{${entries.join(',')}}`;
     }
-    return String(value);
+
+    return JSON.stringify(value);
   }
 }
 
@@ -181,8 +748,74 @@ const DataTypes = {
   AGTYPE
 };
 
+Object.entries(DataTypes).forEach(([key, DataType]) => {
+  DataType.key = DataType.prototype.key = key;
+  DataType.types = { postgres: ['agtype'] };
+});
+
+// agtype parsers registered per connection manager
+const registeredParsers = new WeakMap();
+
+/**
+ * Register the graph data types with a Sequelize instance's postgres dialect
+ *
+ * agtype columns, cypher() results included, are parsed with AGTYPE.parse on
+ * read, using the given idType. The parser is keyed by the agtype oid, which
+ * Sequelize looks up on the first connection and then refreshes its parsers;
+ * the agtype parser is added to every refresh of this instance only, so the
+ * global Sequelize data types are left untouched.
+ *
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} options - Parser options
+ * @param {string} options.idType - Type of parsed graph ids
+ */
+function registerDataTypes(sequelize, options = {}) {
+  const connectionManager = sequelize && sequelize.connectionManager;
+  if (!connectionManager || connectionManager.dialectName !== 'postgres') {
+    return;
+  }
+
+  const parseOptions = { idType: options.idType || 'number' };
+  const dataType = {
+    key: AGTYPE.key,
+    types: AGTYPE.types,
+    parse: value => AGTYPE.parse(value, parseOptions)
+  };
+
+  if (!registeredParsers.has(connectionManager)) {
+    const refreshTypeParser = connectionManager.refreshTypeParser;
+    connectionManager.refreshTypeParser = function (dataTypes) {
+      refreshTypeParser.call(this, dataTypes);
+      refreshTypeParser.call(this, { AGTYPE: registeredParsers.get(connectionManager) });
+    };
+  }
+  registeredParsers.set(connectionManager, dataType);
+  connectionManager.refreshTypeParser({});
+}
+
+/**
+ * Whether the driver parses a Sequelize instance's agtype columns
+ *
+ * True once registerDataTypes ran and the first connection found the agtype
+ * type; a graph extension created after that connection is not picked up.
+ *
+ * @param {Object} sequelize - Sequelize instance
+ * @returns {boolean} True if query results arrive parsed
+ */
+function hasAgtypeParser(sequelize) {
+  const connectionManager = sequelize && sequelize.connectionManager;
+  return Boolean(connectionManager && registeredParsers.has(connectionManager)
+    && connectionManager.nameOidMap && connectionManager.nameOidMap.agtype);
+}
+
 module.exports = {
   DataTypes,
+  registerDataTypes,
+  hasAgtypeParser,
+  AgtypeParser,
+  Vertex,
+  Edge,
+  Path,
   VERTEX,
   EDGE,
   PATH,
@@ -4,114 +4,173 @@
  * Provides utility functions for working with graph data
  */
 
+const { AGTYPE, Vertex, Edge, Path } = require('../types');
+
 /**
  * Graph utility functions
  */
 const GraphUtils = {
   /**
    * Parse AGE response to extract graph elements
+   *
+   * Each row is decoded with the agtype parser, so `::vertex`, `::edge` and
+   * `::path` values become vertex, edge and path objects.
+   *
    * @param {Array} results - Raw results from AGE query
+   * @param {Object} options - Parser options
+   * @param {string} options.idType - Type of graph ids: 'number', 'bigint' or 'string'
    * @returns {Array} Parsed graph elements
    */
-  parseAGEResult(results) {
+  parseAGEResult(results, options = {}) {
     if (!Array.isArray(results)) {
       return [];
     }
 
-    return results.map(row => {
-      if (typeof row === 'string') {
-        try {
-          return JSON.parse(row);
-        } catch (e) {
-          return row;
-        }
+    return results.map(row => AGTYPE.parse(row, options));
+  },
+
+  /**
+   * Parse rows returned by `sequelize.query` for an AGE query
+   *
+   * Every column is agtype-parsed, unless the agtype parser registered with
+   * the driver already did (`parsed`): a string result would otherwise be
+   * read as agtype twice, turning "42" into 42. Rows with a single column are
+   * returned as that column's value, rows with several columns as objects
+   * keyed by the Cypher alias.
+   *
+   * @param {Array<Object>} rows - Rows returned by Sequelize
+   * @param {Object} options - Parser options
+   * @param {string} options.idType - Type of parsed graph ids
+   * @param {boolean} options.parsed - Whether the driver already parsed the values
+   * @returns {Array} Parsed rows
+   */
+  parseAGERows(rows, options = {}) {
+    if (!Array.isArray(rows)) {
+      return [];
+    }
+
+    const parse = options.parsed ? value => value : value => AGTYPE.parse(value, options);
+
+    return rows.map(row => {
+      if (row === null || typeof row !== 'object') {
+        return parse(row);
+      }
+
+      const keys = Object.keys(row);
+
+      if (keys.length === 1) {
+        return parse(row[keys[0]]);
       }
-      return row;
+
+      const parsed = {};
+      keys.forEach(key => {
+        parsed[key] = parse(row[key]);
+      });
+      return parsed;
     });
   },
 
   /**
    * Extract vertices from query results
    * @param {Array} results - Query results
-   * @returns {Array} Array of vertices
+   * @returns {Array<Vertex>} Array of vertices
    */
   extractVertices(results) {
-    const vertices = [];
-    const parsed = this.parseAGEResult(results);
-
-    parsed.forEach(item => {
-      if (item && item._type === 'vertex') {
-        vertices.push(item);
-      } else if (item && typeof item === 'object') {
-        Object.values(item).forEach(value => {
-          if (value && value._type === 'vertex') {
-            vertices.push(value);
-          }
-        });
-      }
-    });
-
-    return vertices;
+    return this._collectInstances(results, Vertex);
   },
 
   /**
    * Extract edges from query results
    * @param {Array} results - Query results
-   * @returns {Array} Array of edges
+   * @returns {Array<Edge>} Array of edges
    */
   extractEdges(results) {
-    const edges = [];
-    const parsed = this.parseAGEResult(results);
-
-    parsed.forEach(item => {
-      if (item && item._type === 'edge') {
-        edges.push(item);
-      } else if (item && typeof item === 'object') {
-        Object.values(item).forEach(value => {
-          if (value && value._type === 'edge') {
-            edges.push(value);
-          }
-        });
-      }
-    });
-
-    return edges;
+    return this._collectInstances(results, Edge);
   },
 
   /**
    * Extract paths from query results
    * @param {Array} results - Query results
-   * @returns {Array} Array of paths
+   * @returns {Array<Path>} Array of paths
    */
   extractPaths(results) {
-    const paths = [];
-    const parsed = this.parseAGEResult(results);
+    return this._collectInstances(results, Path);
+  },
+
+  /**
+   * Collect instances of a graph element class from parsed results,
+   * looking into multi-column rows and collected lists
+   * @param {Array} results - Query results
+   * @param {Function} Type - Vertex, Edge or Path
+   * @returns {Array} Matching elements
+   */
+  _collectInstances(results, Type) {
+    const found = [];
 
-    parsed.forEach(item => {
-      if (item && item._type === 'path') {
-        paths.push(item);
+    const visit = (value, depth) => {
+      if (value instanceof Type) {
+        found.push(value);
+      } else if (Array.isArray(value) && depth < 2) {
+        value.forEach(item => visit(item, depth + 1));
+      } else if (value && typeof value === 'object' && depth === 0) {
+        Object.values(value).forEach(item => visit(item, depth + 1));
       }
-    });
+    };
+
+    this.parseAGEResult(results).forEach(item => visit(item, 0));
 
-    return paths;
+    return found;
+  },
+
+  /**
+   * Resolve the graph id of a vertex/edge
+   * @param {Object|string|number|bigint} element - Parsed graph element or raw graph id
+   * @returns {string} Graph id formatted for AGE
+   */
+  resolveId(element) {
+    const id = element !== null && typeof element === 'object' ? element.id : element;
+    return this._formatGraphId(id);
   },
 
   /**
    * Format vertex ID for AGE
-   * @param {string|number} id - Vertex ID
+   * @param {string|number|bigint} id - Vertex ID
    * @returns {string} Formatted ID
    */
   formatVertexId(id) {
-    return String(id);
+    return this._formatGraphId(id);
   },
 
   /**
    * Format edge ID for AGE
-   * @param {string|number} id - Edge ID
+   * @param {string|number|bigint} id - Edge ID
    * @returns {string} Formatted ID
    */
   formatEdgeId(id) {
-    return String(id);
+    return this._formatGraphId(id);
+  },
+
+  /**
+   * Validate a graph id and format it as an integer literal
+   *
+   * Numbers outside the safe integer range are rejected because they have
+   * already lost precision; use BigInt or string ids for those.
+   *
+   * @param {string|number|bigint} id - Graph ID
+   * @returns {string} Formatted ID
+   */
+  _formatGraphId(id) {
+    if (typeof id === 'number' && !Number.isSafeInteger(id)) {
+      throw new Error(`Graph id ${id} is not a safe integer; pass it as a BigInt or string`);
+    }
+
+    const formatted = String(id);
+
+    if (!/^\d+$/.test(formatted)) {
+      throw new Error(`Invalid graph id: ${formatted}`);
+    }
+
+    return formatted;
   },
 
   /**
@@ -134,15 +193,173 @@ const GraphUtils = {
     return /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(label);
   },
 
+  /**
+   * Derive result column names from the final RETURN clause of a query
+   *
+   * Aliases (`count(n) AS total`) are used as is, plain variables keep their
+   * name and other expressions are turned into identifiers (`n.name` becomes
+   * `n_name`). Queries without RETURN get a single `result` column.
+   *
+   * @param {string} cypherQuery - Cypher query
+   * @returns {Array<string>} Column names
+   */
+  getReturnColumns(cypherQuery) {
+    const masked = this._maskNested(cypherQuery);
+    const returnPattern = /\bRETURN\b/gi;
+    let returnMatch = null;
+    let match;
+
+    while ((match = returnPattern.exec(masked)) !== null) {
+      returnMatch = match;
+    }
+
+    if (!returnMatch) {
+      return ['result'];
+    }
+
+    let start = returnMatch.index + returnMatch[0].length;
+    let end = masked.length;
+
+    const distinctMatch = /^\s*DISTINCT\b/i.exec(masked.slice(start));
+    if (distinctMatch) {
+      start += distinctMatch[0].length;
+    }
+
+    const tailMatch = /\b(ORDER\s+BY|SKIP|LIMIT|UNION)\b/i.exec(masked.slice(start));
+    if (tailMatch) {
+      end = start + tailMatch.index;
+    }
+
+    // Split on top-level commas
+    const items = [];
+    let itemStart = start;
+    for (let i = start; i < end; i++) {
+      if (masked[i] === ',') {
+        items.push(cypherQuery.slice(itemStart, i).trim());
+        itemStart = i + 1;
+      }
+    }
+    items.push(cypherQuery.slice(itemStart, end).trim());
+
+    const columns = [];
+    items.forEach((item, index) => {
+      if (item === '*') {
+        throw new Error('Cannot derive result columns from RETURN *; pass the columns explicitly');
+      }
+
+      let name;
+      const aliasMatch = /\s+AS\s+(`(?:[^`]|``)+`|[A-Za-z_][A-Za-z0-9_]*)$/i.exec(item);
+
+      if (aliasMatch) {
+        name = aliasMatch[1].replace(/^`|`$/g, '').replace(/``/g, '`');
+      } else if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(item)) {
+        name = item;
+      } else {
+        name = item.replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+      }
+
+      if (!name || /^[0-9]/.test(name)) {
+        name = `column${index + 1}`;
+      }
+
+      // Keep column names unique
+      let unique = name;
+      let suffix = 2;
+      while (columns.includes(unique)) {
+        unique = `${name}_${suffix++}`;
+      }
+      columns.push(unique);
+    });
+
+    return columns;
+  },
+
+  /**
+   * Blank out string literals and bracketed expressions, keeping offsets, so
+   * that keywords and commas can be searched at the top level of a query
+   * @param {string} text - Cypher text
+   * @returns {string} Masked text
+   */
+  _maskNested(text) {
+    const closing = { '(': ')', '[': ']', '{': '}' };
+    const stack = [];
+    let quote = null;
+    let masked = '';
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quote) {
+        if (char === '\\' && quote !== '`') {
+          masked += '  ';
+          i++;
+          continue;
+        }
+        if (char === quote) {
+          quote = null;
+        }
+        masked += ' ';
+      } else if (char === '"' || char === '\'' || char === '`') {
+        quote = char;
+        masked += ' ';
+      } else if (closing[char]) {
+        stack.push(closing[char]);
+        masked += ' ';
+      } else if (stack.length > 0) {
+        if (char === stack[stack.length - 1]) {
+          stack.pop();
+        }
+        masked += ' ';
+      } else {
+        masked += char;
+      }
+    }
+
+    return masked;
+  },
+
   /**
    * Build AGE query wrapper
+   *
+   * When `options.params` is set, the query is prepared for Sequelize's `bind`
+   * option: the parameter map is passed as `$1` (the third argument of
+   * `ag_catalog.cypher`) and every other `$` is doubled so that Sequelize
+   * unescapes it back instead of treating it as a bind marker.
+   *
+   * The query body is dollar-quoted with `$$`, or a `$cypher$` tag when the
+   * body contains `$$`.
+   *
+   * The column definition list is derived from the RETURN clause (see
+   * `getReturnColumns`) unless `options.columns` is given.
+   *
    * @param {string} graphName - Graph name
    * @param {string} cypherQuery - Cypher query
+   * @param {Object} options - Build options
+   * @param {boolean} options.params - Bind a parameter map as `$1`
+   * @param {Array<string>} options.columns - Result column names
    * @returns {string} Complete AGE query
    */
-  buildAGEQuery(graphName, cypherQuery) {
-    const escapedQuery = cypherQuery.replace(/'/g, "''");
-    return `SELECT * FROM ag_catalog.cypher('${graphName}', $$ ${escapedQuery} $$) as (result ag_catalog.agtype);`;
+  buildAGEQuery(graphName, cypherQuery, options = {}) {
+    const columns = (options.columns || this.getReturnColumns(cypherQuery))
+      .map(column => `"${String(column).replace(/"/g, '""')}" ag_catalog.agtype`)
+      .join(', ');
+
+    // Postgres does no unescaping inside a dollar-quoted string, so the body
+    // is passed as is, quoted with a tag it doesn't contain
+    let dollarQuote = '$$';
+    for (let i = 0; cypherQuery.includes(dollarQuote); i++) {
+      dollarQuote = `$cypher${i || ''}$`;
+    }
+    let escapedQuery = cypherQuery;
+    let paramsArg = '';
+
+    if (options.params) {
+      escapedQuery = escapedQuery.replace(/\B\$/g, '$$$$');
+      dollarQuote = dollarQuote.replace(/\B\$/g, '$$$$');
+      paramsArg = ', $1';
+    }
+
+    return `SELECT * FROM ag_catalog.cypher('${graphName}', ${dollarQuote} ${escapedQuery} ${dollarQuote}${paramsArg}) as (${columns});`;
   },
 
   /**
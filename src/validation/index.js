@@ -0,0 +1,377 @@
+/**
+ * Attribute Validation for Graph Models
+ *
+ * Normalizes attribute definitions, coerces values to the declared types and
+ * runs Sequelize-style validators before properties are written to the graph
+ */
+
+/**
+ * Error thrown when properties fail validation; lists every failure
+ */
+class ValidationError extends Error {
+  /**
+   * Create a validation error
+   * @param {Array<Object>} errors - Failures ({ path, message, value, validatorKey })
+   */
+  constructor(errors = []) {
+    super(errors.map(error => `Validation error: ${error.message}`).join(',\n') || 'Validation error');
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+
+  /**
+   * Get the failures of one property
+   * @param {string} path - Property name
+   * @returns {Array<Object>} Failures
+   */
+  get(path) {
+    return this.errors.filter(error => error.path === path);
+  }
+}
+
+// Attribute types by JS constructor
+const CONSTRUCTOR_TYPES = new Map([
+  [String, 'string'],
+  [Number, 'number'],
+  [Boolean, 'boolean'],
+  [Date, 'date'],
+  [Array, 'array'],
+  [Object, 'object']
+]);
+
+// Attribute types by Sequelize/graph data type key
+const DATA_TYPE_KEYS = {
+  STRING: 'string',
+  CHAR: 'string',
+  TEXT: 'string',
+  CITEXT: 'string',
+  UUID: 'string',
+  ENUM: 'string',
+  INTEGER: 'integer',
+  BIGINT: 'integer',
+  SMALLINT: 'integer',
+  MEDIUMINT: 'integer',
+  TINYINT: 'integer',
+  FLOAT: 'number',
+  DOUBLE: 'number',
+  'DOUBLE PRECISION': 'number',
+  REAL: 'number',
+  DECIMAL: 'number',
+  BOOLEAN: 'boolean',
+  DATE: 'date',
+  DATEONLY: 'date',
+  ARRAY: 'array',
+  JSON: 'any',
+  JSONB: 'any',
+  AGTYPE: 'any'
+};
+
+const TYPE_NAMES = ['string', 'number', 'integer', 'boolean', 'date', 'array', 'object', 'any'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^(https?|ftp):\/\/[^\s/$.?#].[^\s]*$/i;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Built-in validators, called with the value and the validator arguments
+ */
+const validators = {
+  isEmail: value => EMAIL_PATTERN.test(String(value)),
+  isUrl: value => URL_PATTERN.test(String(value)),
+  isUUID: value => UUID_PATTERN.test(String(value)),
+  isInt: value => /^[-+]?\d+$/.test(String(value)),
+  isNumeric: value => /^[-+]?\d*\.?\d+$/.test(String(value)),
+  isAlpha: value => /^[a-zA-Z]+$/.test(String(value)),
+  isAlphanumeric: value => /^[a-zA-Z0-9]+$/.test(String(value)),
+  isLowercase: value => String(value) === String(value).toLowerCase(),
+  isUppercase: value => String(value) === String(value).toUpperCase(),
+  isDate: value => !Number.isNaN(new Date(value).getTime()),
+  notEmpty: value => String(value).trim().length > 0,
+  is: (value, pattern, flags) => toRegExp(pattern, flags).test(String(value)),
+  not: (value, pattern, flags) => !toRegExp(pattern, flags).test(String(value)),
+  contains: (value, text) => String(value).includes(text),
+  notContains: (value, text) => !String(value).includes(text),
+  isIn: (value, list) => list.some(item => item === value),
+  notIn: (value, list) => !list.some(item => item === value),
+  len: (value, min = 0, max) => {
+    const length = value !== null && typeof value === 'object' ? value.length : String(value).length;
+    return length >= min && (max === undefined || length <= max);
+  },
+  min: (value, min) => Number(value) >= min,
+  max: (value, max) => Number(value) <= max
+};
+
+/**
+ * Build a RegExp from a validator argument
+ * @param {RegExp|string} pattern - Pattern
+ * @param {string} flags - Flags for string patterns
+ * @returns {RegExp} Regular expression
+ */
+function toRegExp(pattern, flags) {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern, flags);
+}
+
+/**
+ * Attribute validation utilities
+ */
+const Validation = {
+  /**
+   * Normalize attribute definitions
+   *
+   * An attribute is a JS constructor (String, Number, ...), a Sequelize or
+   * graph data type, a type name ('integer'), or a spec object
+   * `{ type, allowNull, defaultValue, validate }`.
+   *
+   * @param {Object} attributes - Attribute definitions by property name
+   * @returns {Object} Specs ({ type, allowNull, defaultValue, validate }) by name
+   */
+  normalizeAttributes(attributes = {}) {
+    const definitions = {};
+
+    Object.entries(attributes).forEach(([name, attribute]) => {
+      const spec = this._isSpec(attribute) ? attribute : { type: attribute };
+      definitions[name] = {
+        ...spec,
+        type: this.resolveType(spec.type, name),
+        allowNull: spec.allowNull !== false,
+        validate: spec.validate || {}
+      };
+    });
+
+    return definitions;
+  },
+
+  /**
+   * Resolve an attribute type to a type name
+   * @param {*} type - Attribute type
+   * @param {string} name - Attribute name for the error message
+   * @returns {string} One of string, number, integer, boolean, date, array, object, any
+   */
+  resolveType(type, name) {
+    if (type === undefined || type === null) {
+      return 'any';
+    }
+    if (CONSTRUCTOR_TYPES.has(type)) {
+      return CONSTRUCTOR_TYPES.get(type);
+    }
+    if (typeof type === 'string' && TYPE_NAMES.includes(type.toLowerCase())) {
+      return type.toLowerCase();
+    }
+    if ((typeof type === 'function' || typeof type === 'object') && typeof type.key === 'string') {
+      return DATA_TYPE_KEYS[type.key] || 'any';
+    }
+    throw new Error(`Unsupported type for attribute "${name}"`);
+  },
+
+  /**
+   * Coerce and validate property values
+   *
+   * For new records, defaults are applied and every attribute is checked;
+   * otherwise only the given properties are. Properties without a definition
+   * are rejected unless `strict` is false.
+   *
+   * @param {Object} definitions - Normalized attribute definitions
+   * @param {Object} values - Property values
+   * @param {Object} options - Validation options
+   * @param {string} options.modelName - Model name for error messages
+   * @param {boolean} options.isNewRecord - Apply defaults and check all attributes
+   * @param {boolean} options.strict - Reject undefined properties (default true)
+   * @returns {Promise<Object>} Coerced values
+   * @throws {ValidationError} Listing every failure
+   */
+  async validate(definitions, values = {}, options = {}) {
+    const modelName = options.modelName || 'Model';
+    const errors = [];
+    const result = {};
+
+    Object.entries(values).forEach(([name, value]) => {
+      if (!definitions[name] && options.strict !== false) {
+        errors.push({ path: name, value, validatorKey: 'attribute', message: `${name} is not a defined attribute of ${modelName}` });
+      } else if (value !== undefined) {
+        result[name] = value;
+      }
+    });
+
+    if (options.isNewRecord) {
+      Object.entries(definitions).forEach(([name, definition]) => {
+        if (result[name] === undefined && definition.defaultValue !== undefined) {
+          result[name] = typeof definition.defaultValue === 'function'
+            ? definition.defaultValue()
+            : definition.defaultValue;
+        }
+      });
+    }
+
+    const names = options.isNewRecord
+      ? Object.keys(definitions)
+      : Object.keys(values).filter(name => definitions[name]);
+
+    for (const name of names) {
+      const definition = definitions[name];
+      const value = result[name];
+
+      if (value === undefined || value === null) {
+        if (!definition.allowNull) {
+          errors.push({ path: name, value: null, validatorKey: 'allowNull', message: `${modelName}.${name} cannot be null` });
+        }
+        continue;
+      }
+
+      let coerced;
+      try {
+        coerced = this.coerce(value, definition.type);
+      } catch (error) {
+        errors.push({ path: name, value, validatorKey: 'type', message: error.message });
+        continue;
+      }
+      result[name] = coerced;
+
+      errors.push(...await this._runValidators(name, coerced, definition.validate, result));
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    return result;
+  },
+
+  /**
+   * Coerce a value to an attribute type
+   *
+   * Dates are stored as ISO strings since agtype has no date type.
+   *
+   * @param {*} value - Value
+   * @param {string} type - Type name
+   * @returns {*} Coerced value
+   * @throws {Error} If the value can't be represented as the type
+   */
+  coerce(value, type) {
+    const invalid = () => new Error(`${JSON.stringify(value)} is not a valid ${type}`);
+
+    switch (type) {
+    case 'string':
+      if (typeof value === 'string') return value;
+      if (typeof value === 'number' || typeof value === 'boolean' || typeof value === 'bigint') return String(value);
+      throw invalid();
+    case 'number':
+    case 'integer': {
+      if (typeof value === 'bigint') {
+        if (type === 'integer') return value;
+        throw invalid();
+      }
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || Number.isNaN(number) || (type === 'integer' && !Number.isInteger(number))) {
+        throw invalid();
+      }
+      return number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 1 || value === '1') return true;
+      if (value === 'false' || value === 0 || value === '0') return false;
+      throw invalid();
+    case 'date': {
+      const date = value instanceof Date ? value : new Date(value);
+      if ((typeof value !== 'string' && typeof value !== 'number' && !(value instanceof Date)) || Number.isNaN(date.getTime())) {
+        throw invalid();
+      }
+      return date.toISOString();
+    }
+    case 'array':
+      if (Array.isArray(value)) return value;
+      throw invalid();
+    case 'object':
+      if (typeof value === 'object' && !Array.isArray(value)) return value;
+      throw invalid();
+    default:
+      return value;
+    }
+  },
+
+  /**
+   * Run the validators of an attribute
+   * @param {string} name - Attribute name
+   * @param {*} value - Coerced value
+   * @param {Object} validate - Validator config ({ isEmail: true, len: [2, 10], custom(value) {} })
+   * @param {Object} values - All values, `this` of custom validators
+   * @returns {Promise<Array<Object>>} Failures
+   */
+  async _runValidators(name, value, validate, values) {
+    const errors = [];
+
+    for (const [key, config] of Object.entries(validate)) {
+      if (config === false) {
+        continue;
+      }
+
+      if (typeof config === 'function') {
+        try {
+          await config.call(values, value);
+        } catch (error) {
+          errors.push({ path: name, value, validatorKey: key, message: error.message });
+        }
+        continue;
+      }
+
+      const validator = validators[key];
+      if (!validator) {
+        throw new Error(`Unknown validator "${key}" on attribute "${name}"`);
+      }
+
+      const { args, msg } = this._validatorOptions(key, config);
+      if (!validator(value, ...args)) {
+        errors.push({ path: name, value, validatorKey: key, message: msg || `Validation ${key} on ${name} failed` });
+      }
+    }
+
+    return errors;
+  },
+
+  /**
+   * Read the arguments and message of a validator config
+   *
+   * Accepts `true`, an argument list (`len: [2, 10]`, `isIn: [['a', 'b']]`),
+   * a single argument (`min: 1`) or `{ args, msg }`.
+   *
+   * @param {string} key - Validator name
+   * @param {*} config - Validator config
+   * @returns {Object} { args, msg }
+   */
+  _validatorOptions(key, config) {
+    let args = config;
+    let msg;
+
+    if (config !== null && typeof config === 'object' && !Array.isArray(config) && !(config instanceof RegExp)) {
+      args = config.args !== undefined ? config.args : true;
+      msg = config.msg;
+    }
+
+    if (args === true) {
+      args = [];
+    } else if (key === 'isIn' || key === 'notIn') {
+      args = [Array.isArray(args[0]) ? args[0] : args];
+    } else if (!Array.isArray(args)) {
+      args = [args];
+    }
+
+    return { args, msg };
+  },
+
+  /**
+   * Check whether an attribute definition is a spec object
+   * @param {*} attribute - Attribute definition
+   * @returns {boolean} True for `{ type, allowNull, ... }` objects
+   */
+  _isSpec(attribute) {
+    return attribute !== null &&
+      typeof attribute === 'object' &&
+      Object.getPrototypeOf(attribute) === Object.prototype;
+  }
+};
+
+module.exports = {
+  Validation,
+  ValidationError,
+  validators
+};
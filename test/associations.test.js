@@ -0,0 +1,193 @@
+/**
+ * Tests for model associations
+ */
+
+const PostgresQuery = require('sequelize/lib/dialects/postgres/query');
+const { GraphModel } = require('../src/models');
+const { Association } = require('../src/associations');
+const { Relationships } = require('../src/relationships');
+
+function mockSequelize(...rowSets) {
+  const query = jest.fn();
+  rowSets.forEach(rows => query.mockResolvedValueOnce(rows));
+  query.mockResolvedValue([]);
+  return { query, QueryTypes: { SELECT: 'SELECT' }, transaction: jest.fn(callback => callback('tx')) };
+}
+
+function sentQuery(sequelize, call) {
+  const [query, options] = sequelize.query.mock.calls[call];
+  if (!options.bind) {
+    return { sql: query, params: {} };
+  }
+  const [sql] = PostgresQuery.formatBindParameters(query, options.bind, 'postgres');
+  return { sql, params: JSON.parse(options.bind[0]) };
+}
+
+describe('Associations', () => {
+  let sequelize;
+  let User;
+  let Post;
+  let Tag;
+  let user;
+  let post;
+
+  beforeEach(() => {
+    sequelize = mockSequelize();
+    User = new GraphModel(sequelize, 'User', { name: String }, { graphName: 'g' });
+    Post = new GraphModel(sequelize, 'Post', { title: String }, { graphName: 'g' });
+    Tag = new GraphModel(sequelize, 'Tag', { name: String }, { graphName: 'g' });
+
+    User.hasMany(Post, { through: 'POSTED' });
+    Post.belongsTo(User, { through: 'POSTED', as: 'author' });
+    Post.belongsToMany(Tag, { through: 'TAGGED' });
+
+    user = new User.Instance(User, { name: 'Ann' }, { id: 1, isNewRecord: false });
+    post = new Post.Instance(Post, { title: 'Hi' }, { id: 5, isNewRecord: false });
+  });
+
+  describe('definition', () => {
+    test('should register associations and accessors', () => {
+      expect(User.associations.Posts).toBeInstanceOf(Association);
+      expect(Post.associations.author.direction).toBe('incoming');
+      expect(Object.keys(Post.associations)).toEqual(['author', 'Tags']);
+
+      ['getPosts', 'countPosts', 'hasPost', 'hasPosts', 'setPosts', 'addPost', 'addPosts', 'removePost', 'removePosts', 'createPost']
+        .forEach(name => expect(typeof user[name]).toBe('function'));
+      ['getAuthor', 'setAuthor', 'createAuthor'].forEach(name => expect(typeof post[name]).toBe('function'));
+      expect(post.addAuthor).toBeUndefined();
+    });
+
+    test('should take direction and cardinality from a Relationship', () => {
+      const association = User.belongsToMany(Tag, { through: Relationships.patterns.manyToMany('LIKES'), as: 'likedTags' });
+
+      expect(association.type).toBe('LIKES');
+      expect(association.direction).toBe('both');
+      expect(association.exclusive).toBe(false);
+      expect(typeof user.addLikedTag).toBe('function');
+    });
+
+    test('should reject invalid definitions', () => {
+      const Knows = new GraphModel(sequelize, 'KNOWS', {}, { graphName: 'g', type: 'edge' });
+
+      expect(() => User.hasMany(Tag, {})).toThrow('requires an edge label in "through"');
+      expect(() => User.hasMany(Tag, { through: 'A]->() DELETE' })).toThrow('requires an edge label');
+      expect(() => User.hasMany(Knows, { through: 'X' })).toThrow('hasMany requires vertex models');
+      expect(() => User.hasMany(Post, { through: 'POSTED' })).toThrow('User already has an association named Posts');
+      expect(() => User.hasOne(Tag, { through: Relationships.patterns.oneToMany('OWNS') })).toThrow('hasOne can\'t use a one-to-many relationship');
+      expect(() => User.hasMany(Tag, { through: 'X', direction: 'sideways' })).toThrow('Invalid association direction');
+      expect(() => User.hasMany(Tag, { through: 'X', as: 'name' })).toThrow('collides with an existing property');
+    });
+  });
+
+  describe('accessors', () => {
+    test('should get associated elements with find options', async () => {
+      sequelize.query.mockResolvedValueOnce([{ n: '{"id": 5, "label": "Post", "properties": {"title": "Hi"}}::vertex' }]);
+
+      const posts = await user.getPosts({ where: { title: 'Hi' }, order: [['title', 'DESC']], limit: 10 });
+
+      const { sql, params } = sentQuery(sequelize, 0);
+      expect(sql).toContain('$$ MATCH (s:User)-[r:POSTED]->(n:Post) WHERE id(s) = 1 AND n.`title` = $p0 RETURN n ORDER BY n.`title` DESC LIMIT 10 $$');
+      expect(params).toEqual({ p0: 'Hi' });
+      expect(posts[0]).toBeInstanceOf(Post.Instance);
+    });
+
+    test('should get a single element for belongsTo', async () => {
+      sequelize.query.mockResolvedValueOnce([{ n: '{"id": 1, "label": "User", "properties": {"name": "Ann"}}::vertex' }]);
+
+      const author = await post.getAuthor();
+
+      expect(sentQuery(sequelize, 0).sql).toContain('MATCH (s:Post)<-[r:POSTED]-(n:User) WHERE id(s) = 5 RETURN n LIMIT 1');
+      expect(author.name).toBe('Ann');
+      sequelize.query.mockResolvedValueOnce([]);
+      await expect(post.getAuthor()).resolves.toBeNull();
+    });
+
+    test('should count and check associated elements', async () => {
+      sequelize.query.mockResolvedValueOnce([{ count: '2' }]).mockResolvedValueOnce([{ count: '1' }]);
+
+      await expect(user.countPosts()).resolves.toBe(2);
+      await expect(user.hasPosts([5, post])).resolves.toBe(true);
+
+      expect(sentQuery(sequelize, 0).sql).toContain('WHERE id(s) = 1 RETURN count(DISTINCT n) AS count');
+      expect(sentQuery(sequelize, 1).sql).toContain('WHERE id(s) = 1 AND id(n) IN [5] RETURN count(DISTINCT n) AS count');
+    });
+
+    test('should move targets of one-to-many associations when adding', async () => {
+      await user.addPost(post, { properties: { pinned: true } });
+
+      expect(sentQuery(sequelize, 0).sql).toContain('$$ MATCH (o:User)-[r:POSTED]->(n:Post) WHERE id(n) IN [5] AND id(o) <> 1 DELETE r $$');
+      const { sql, params } = sentQuery(sequelize, 1);
+      expect(sql).toContain('$$ MATCH (s:User), (n:Post) WHERE id(s) = 1 AND id(n) IN [5] MERGE (s)-[r:POSTED]->(n) SET r.`pinned` = $p0 $$');
+      expect(params).toEqual({ p0: true });
+      expect(sequelize.transaction).toHaveBeenCalledTimes(1);
+      sequelize.query.mock.calls.forEach(([, options]) => expect(options.transaction).toBe('tx'));
+    });
+
+    test('should keep other sources for many-to-many associations', async () => {
+      await post.addTags([7, 8], { transaction: 'outer' });
+
+      expect(sequelize.query).toHaveBeenCalledTimes(1);
+      expect(sentQuery(sequelize, 0).sql).toContain('WHERE id(s) = 5 AND id(n) IN [7, 8] MERGE (s)-[r:TAGGED]->(n)');
+      expect(sequelize.query.mock.calls[0][1].transaction).toBe('outer');
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+    });
+
+    test('should remove and set associated elements', async () => {
+      await user.removePosts([5, 6]);
+      await post.setTags([7]);
+      await post.setAuthor(null);
+
+      expect(sentQuery(sequelize, 0).sql).toContain('MATCH (s:User)-[r:POSTED]->(n:Post) WHERE id(s) = 1 AND id(n) IN [5, 6] DELETE r');
+      expect(sentQuery(sequelize, 1).sql).toContain('MATCH (s:Post)-[r:TAGGED]->(n:Tag) WHERE id(s) = 5 AND NOT id(n) IN [7] DELETE r');
+      expect(sentQuery(sequelize, 2).sql).toContain('MERGE (s)-[r:TAGGED]->(n)');
+      expect(sentQuery(sequelize, 3).sql).toContain('MATCH (s:Post)<-[r:POSTED]-(n:User) WHERE id(s) = 5 DELETE r');
+      expect(sequelize.query).toHaveBeenCalledTimes(4);
+    });
+
+    test('should create and associate a target', async () => {
+      sequelize.query.mockResolvedValueOnce([{ n: '{"id": 9, "label": "Post", "properties": {"title": "New"}}::vertex' }]);
+
+      const created = await user.createPost({ title: 'New' });
+
+      expect(created.id).toBe(9);
+      expect(sentQuery(sequelize, 0).sql).toContain('CREATE (n:Post {`title`: $p0})');
+      expect(sentQuery(sequelize, 0).params).toEqual({ p0: 'New' });
+      expect(sentQuery(sequelize, 2).sql).toContain('WHERE id(s) = 1 AND id(n) IN [9] MERGE (s)-[r:POSTED]->(n)');
+      sequelize.query.mock.calls.forEach(([, options]) => expect(options.transaction).toBe('tx'));
+    });
+
+    test('should include associated elements by name or model', async () => {
+      sequelize.query.mockResolvedValueOnce([{
+        n: '{"id": 5, "label": "Post", "properties": {"title": "Hi"}}::vertex',
+        i0: '[{"id": 1, "label": "User", "properties": {"name": "Ann"}}::vertex]',
+        i1: '[]'
+      }]);
+
+      const [found] = await Post.findAll({ include: ['author', Tag] });
+
+      expect(sentQuery(sequelize, 0).sql).toContain('OPTIONAL MATCH (n)<-[:POSTED]-(i0:User) WITH n, collect(DISTINCT i0) AS i0 '
+        + 'OPTIONAL MATCH (n)-[:TAGGED]->(i1:Tag) WITH n, i0, collect(DISTINCT i1) AS i1 RETURN n, i0, i1');
+      expect(found.author).toBeInstanceOf(User.Instance);
+      expect(found.Tags).toEqual([]);
+    });
+
+    test('should apply the default scope of the target', async () => {
+      Post.addScope('defaultScope', { where: { published: true } });
+
+      await user.getPosts();
+      await user.countPosts();
+
+      expect(sentQuery(sequelize, 0).sql).toContain('WHERE id(s) = 1 AND n.`published` = $p0 RETURN n');
+      expect(sentQuery(sequelize, 1).sql).toContain('WHERE id(s) = 1 AND n.`published` = $p0 RETURN count(DISTINCT n)');
+    });
+
+    test('should reject unsaved sources and targets of another model', async () => {
+      const draft = User.build({ name: 'New' });
+
+      await expect(draft.getPosts()).rejects.toThrow('User has not been saved yet');
+      await expect(user.addPost(user)).rejects.toThrow('User.Posts expects Post elements, got User');
+      await expect(post.setAuthor([1, 2])).rejects.toThrow('Post.author takes a single User');
+      expect(sequelize.query).not.toHaveBeenCalled();
+    });
+  });
+});
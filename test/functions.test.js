@@ -46,6 +46,48 @@ describe('Cypher Functions', () => {
       expect(query).toBe('MATCH (n:Person) WHERE n.age > 25 RETURN n ORDER BY n.name LIMIT 10');
     });
 
+    test('should place WHERE directly after MATCH', () => {
+      const query = new CypherQueryBuilder()
+        .match('(a), (b)')
+        .where('id(a) = 1 AND id(b) = 2')
+        .create('(a)-[r:KNOWS]->(b)')
+        .return('r')
+        .build();
+
+      expect(query).toBe('MATCH (a), (b) WHERE id(a) = 1 AND id(b) = 2 CREATE (a)-[r:KNOWS]->(b) RETURN r');
+    });
+
+    test('should add ON CREATE SET and ON MATCH SET after MERGE', () => {
+      const query = new CypherQueryBuilder()
+        .merge('(n:Person {name: "Alice"})')
+        .onCreateSet('n.age = 30')
+        .onCreateSet('n.visits = 1')
+        .onMatchSet('n.visits = n.visits + 1')
+        .return('n')
+        .build();
+
+      expect(query).toBe('MERGE (n:Person {name: "Alice"}) ON CREATE SET n.age = 30, n.visits = 1 ON MATCH SET n.visits = n.visits + 1 RETURN n');
+    });
+
+    test('should build DETACH DELETE', () => {
+      const query = new CypherQueryBuilder()
+        .match('(n:Person)')
+        .detachDelete('n')
+        .build();
+
+      expect(query).toBe('MATCH (n:Person) DETACH DELETE n');
+    });
+
+    test('should place WHERE after OPTIONAL MATCH without MATCH', () => {
+      const query = new CypherQueryBuilder()
+        .optionalMatch('(n)-[:POSTED]->(p:Post)')
+        .where('p.draft = false')
+        .with('n, collect(p) AS posts')
+        .build();
+
+      expect(query).toBe('OPTIONAL MATCH (n)-[:POSTED]->(p:Post) WHERE p.draft = false WITH n, collect(p) AS posts');
+    });
+
     test('should support method chaining', () => {
       const builder = new CypherQueryBuilder();
       const result = builder.match('(n)');
@@ -0,0 +1,171 @@
+/**
+ * Tests for the plugin API
+ */
+
+const PostgresQuery = require('sequelize/lib/dialects/postgres/query');
+const { initApacheAGE } = require('../src');
+const { Vertex, Edge } = require('../src/types');
+
+function mockSequelize(rows = []) {
+  return {
+    query: jest.fn().mockResolvedValue(rows),
+    addHook: jest.fn(),
+    removeHook: jest.fn(),
+    QueryTypes: { SELECT: 'SELECT' }
+  };
+}
+
+describe('initApacheAGE', () => {
+  describe('session setup', () => {
+    test('should register an afterConnect hook by default', () => {
+      const sequelize = mockSequelize();
+      initApacheAGE(sequelize);
+
+      expect(sequelize.addHook).toHaveBeenCalledWith('afterConnect', expect.any(String), expect.any(Function));
+    });
+
+    test('should not register hooks when sessionSetup is disabled', () => {
+      const sequelize = mockSequelize();
+      initApacheAGE(sequelize, { sessionSetup: false });
+
+      expect(sequelize.addHook).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('executeCypher', () => {
+    test('should run query without parameters', async () => {
+      const sequelize = mockSequelize([{ result: '{"id": 1}' }]);
+      const age = initApacheAGE(sequelize, { graphName: 'my_graph' });
+
+      const results = await age.executeCypher('MATCH (n) RETURN n');
+
+      const [query, options] = sequelize.query.mock.calls[0];
+      expect(query).toContain('ag_catalog.cypher(\'my_graph\', $$ MATCH (n) RETURN n $$)');
+      expect(options.bind).toBeUndefined();
+      expect(results).toEqual([{ id: 1 }]);
+    });
+
+    test('should bind parameters as the third cypher argument', async () => {
+      const sequelize = mockSequelize([]);
+      const age = initApacheAGE(sequelize, { graphName: 'my_graph' });
+
+      await age.executeCypher('MATCH (n) WHERE n.name = $name RETURN n', { name: 'Robert\'); DROP TABLE users; --' });
+
+      const [query, options] = sequelize.query.mock.calls[0];
+      expect(options.bind).toEqual(['{"name":"Robert\'); DROP TABLE users; --"}']);
+      expect(query).not.toContain('DROP TABLE');
+
+      // The SQL that reaches postgres after Sequelize resolves bind markers
+      const [sql] = PostgresQuery.formatBindParameters(query, options.bind, 'postgres');
+      expect(sql).toBe('SELECT * FROM ag_catalog.cypher(\'my_graph\', $$ MATCH (n) WHERE n.name = $name RETURN n $$, $1) as ("n" ag_catalog.agtype);');
+    });
+
+    test('should map multi-column results by alias', async () => {
+      const sequelize = mockSequelize([{
+        a: '{"id": 1, "label": "Person", "properties": {}}::vertex',
+        r: '{"id": 3, "label": "KNOWS", "end_id": 2, "start_id": 1, "properties": {}}::edge',
+        b: '{"id": 2, "label": "Person", "properties": {}}::vertex'
+      }]);
+      const age = initApacheAGE(sequelize);
+
+      const results = await age.executeCypher('MATCH (a:Person)-[r:KNOWS]->(b:Person) RETURN a, r, b');
+
+      expect(sequelize.query.mock.calls[0][0]).toContain('as ("a" ag_catalog.agtype, "r" ag_catalog.agtype, "b" ag_catalog.agtype)');
+      expect(results[0].a).toBeInstanceOf(Vertex);
+      expect(results[0].r).toBeInstanceOf(Edge);
+      expect(results[0].b.id).toBe(2);
+    });
+
+    test('should accept explicit columns', async () => {
+      const sequelize = mockSequelize([]);
+      const age = initApacheAGE(sequelize);
+
+      await age.executeCypher('MATCH (n) RETURN n.name, n.age', {}, { columns: ['name', 'age'] });
+
+      const [query, options] = sequelize.query.mock.calls[0];
+      expect(query).toContain('as ("name" ag_catalog.agtype, "age" ag_catalog.agtype)');
+      expect(options.columns).toBeUndefined();
+    });
+
+    test('should pass query options through', async () => {
+      const sequelize = mockSequelize([]);
+      const age = initApacheAGE(sequelize);
+      const transaction = {};
+
+      await age.executeCypher('MATCH (n) RETURN n', {}, { transaction });
+
+      expect(sequelize.query.mock.calls[0][1].transaction).toBe(transaction);
+    });
+  });
+
+  describe('createVertex', () => {
+    test('should create vertex and return parsed result', async () => {
+      const sequelize = mockSequelize([{ n: '{"id": 1, "label": "Person", "properties": {"name": "Alice"}}::vertex' }]);
+      const age = initApacheAGE(sequelize, { graphName: 'my_graph' });
+
+      const vertex = await age.createVertex('Person', { name: 'Alice' });
+
+      const [query, options] = sequelize.query.mock.calls[0];
+      expect(query).toContain('CREATE (n:Person {`name`: $$p0}) RETURN n');
+      expect(options.bind).toEqual(['{"p0":"Alice"}']);
+      expect(vertex).toBeInstanceOf(Vertex);
+      expect(vertex.id).toBe(1);
+      expect(vertex.properties.name).toBe('Alice');
+    });
+
+    test('should bind values and escape keys', async () => {
+      const sequelize = mockSequelize([]);
+      const age = initApacheAGE(sequelize, { graphName: 'my_graph' });
+
+      await age.createVertex('Person', {
+        name: '$$) as (n agtype); DROP TABLE users; --',
+        'x}) DETACH DELETE n //`': 1
+      });
+
+      const [query, options] = sequelize.query.mock.calls[0];
+      expect(query).not.toContain('DROP TABLE');
+      expect(options.bind).toEqual(['{"p0":"$$) as (n agtype); DROP TABLE users; --","p1":1}']);
+
+      const [sql] = PostgresQuery.formatBindParameters(query, options.bind, 'postgres');
+      expect(sql).toBe('SELECT * FROM ag_catalog.cypher(\'my_graph\', $$ CREATE (n:Person {`name`: $p0, `x}) DETACH DELETE n //```: $p1}) RETURN n $$, $1) as ("n" ag_catalog.agtype);');
+    });
+
+    test('should reject invalid labels', async () => {
+      const sequelize = mockSequelize();
+      const age = initApacheAGE(sequelize);
+
+      await expect(age.createVertex('Person) DETACH DELETE (n', {})).rejects.toThrow('Invalid vertex label');
+      expect(sequelize.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createEdge', () => {
+    test('should accept vertex objects and raw ids', async () => {
+      const sequelize = mockSequelize([{ r: '{"id": 3, "label": "KNOWS", "start_id": 1, "end_id": 2, "properties": {}}::edge' }]);
+      const age = initApacheAGE(sequelize);
+
+      const edge = await age.createEdge('KNOWS', { id: 1, label: 'Person' }, 2);
+
+      expect(sequelize.query.mock.calls[0][0]).toContain('MATCH (a), (b) WHERE id(a) = 1 AND id(b) = 2 CREATE (a)-[r:KNOWS]->(b) RETURN r');
+      expect(edge).toBeInstanceOf(Edge);
+      expect(edge.startId).toBe(1);
+      expect(edge.endId).toBe(2);
+    });
+
+    test('should bind edge properties', async () => {
+      const sequelize = mockSequelize([]);
+      const age = initApacheAGE(sequelize);
+
+      await age.createEdge('KNOWS', 1, 2, { since: 2020 });
+
+      const [query, options] = sequelize.query.mock.calls[0];
+      expect(query).toContain('CREATE (a)-[r:KNOWS {`since`: $$p0}]->(b) RETURN r');
+      expect(options.bind).toEqual(['{"p0":2020}']);
+    });
+
+    test('should reject invalid ids', async () => {
+      const age = initApacheAGE(mockSequelize());
+      await expect(age.createEdge('KNOWS', '1 OR true', 2)).rejects.toThrow('Invalid graph id');
+    });
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Tests for graph model instances
+ */
+
+const PostgresQuery = require('sequelize/lib/dialects/postgres/query');
+const { GraphModel } = require('../src/models');
+const { GraphInstance } = require('../src/instance');
+const { Vertex } = require('../src/types');
+
+const ALICE = '{"id": 844424930131969, "label": "Person", "properties": {"name": "Alice", "age": 30}}::vertex';
+
+function mockSequelize(...rowSets) {
+  const query = jest.fn();
+  rowSets.forEach(rows => query.mockResolvedValueOnce(rows));
+  query.mockResolvedValue([]);
+  return { query, QueryTypes: { SELECT: 'SELECT' } };
+}
+
+function sentQuery(sequelize, call) {
+  const [query, options] = sequelize.query.mock.calls[call];
+  if (!options.bind) {
+    return { sql: query, params: {} };
+  }
+  const [sql] = PostgresQuery.formatBindParameters(query, options.bind, 'postgres');
+  return { sql, params: JSON.parse(options.bind[0]) };
+}
+
+describe('GraphInstance', () => {
+  let sequelize;
+  let Person;
+  let alice;
+
+  beforeEach(async () => {
+    sequelize = mockSequelize([{ n: ALICE }]);
+    Person = new GraphModel(sequelize, 'Person', { name: String, age: Number }, { graphName: 'g' });
+    alice = await Person.findOne({ where: { name: 'Alice' } });
+  });
+
+  test('should wrap found vertices in the model instance class', () => {
+    expect(alice).toBeInstanceOf(GraphInstance);
+    expect(alice).toBeInstanceOf(Person.Instance);
+    expect(alice.id).toBe(844424930131969);
+    expect(alice.name).toBe('Alice');
+    expect(alice.get()).toEqual({ name: 'Alice', age: 30 });
+    expect(alice.changed()).toBe(false);
+  });
+
+  test('should return plain elements with raw', async () => {
+    sequelize.query.mockResolvedValueOnce([{ n: ALICE }]);
+    const [raw] = await Person.findAll({ raw: true });
+    expect(raw).toBeInstanceOf(Vertex);
+  });
+
+  test('should track changes', () => {
+    alice.age = 31;
+    alice.set({ name: 'Alice', nickname: 'Al' });
+
+    expect(alice.changed()).toEqual(['age', 'nickname']);
+    expect(alice.changed('name')).toBe(false);
+    expect(alice.previous('age')).toBe(30);
+    expect(alice.previous()).toEqual({ age: 30, nickname: undefined });
+    expect(alice.nickname).toBe('Al');
+
+    alice.age = 30;
+    expect(alice.changed()).toEqual(['nickname']);
+  });
+
+  test('should save only changed properties matched by id()', async () => {
+    sequelize.query.mockResolvedValueOnce([{ n: ALICE.replace('"age": 30', '"age": 31') }]);
+
+    alice.age = 31;
+    await alice.save();
+
+    const { sql, params } = sentQuery(sequelize, 1);
+    expect(sql).toContain('$$ MATCH (n:Person) WHERE id(n) = 844424930131969 SET n.`age` = $p0 RETURN n $$, $1');
+    expect(params).toEqual({ p0: 31 });
+    expect(alice.age).toBe(31);
+    expect(alice.changed()).toBe(false);
+  });
+
+  test('should not query when nothing changed', async () => {
+    await alice.save();
+    expect(sequelize.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('should run update hooks on save', async () => {
+    sequelize.query.mockResolvedValueOnce([{ n: ALICE }]);
+    const hook = jest.fn();
+    Person.addHook('beforeUpdate', hook);
+
+    alice.age = 31;
+    await alice.save();
+
+    expect(hook).toHaveBeenCalledWith(expect.objectContaining({ properties: { age: 31 }, instance: alice }), Person);
+  });
+
+  test('should reload and discard changes', async () => {
+    sequelize.query.mockResolvedValueOnce([{ n: ALICE.replace('"Alice"', '"Alicia"') }]);
+
+    alice.age = 99;
+    await alice.reload();
+
+    expect(sentQuery(sequelize, 1).sql).toContain('$$ MATCH (n:Person) WHERE id(n) = 844424930131969 RETURN n $$');
+    expect(alice.name).toBe('Alicia');
+    expect(alice.age).toBe(30);
+    expect(alice.changed()).toBe(false);
+  });
+
+  test('should run save, reload and restore in the given transaction', async () => {
+    const Post = new GraphModel(sequelize, 'Post', { title: String }, { graphName: 'g', timestamps: true, paranoid: true });
+    const POST = '{"id": 7, "label": "Post", "properties": {"title": "Hi", "deletedAt": "2024-05-01T12:00:00.000Z"}}::vertex';
+    sequelize.query.mockResolvedValueOnce([{ n: POST }]);
+    const post = await Post.findOne({ paranoid: false });
+    sequelize.query.mockResolvedValueOnce([{ n: POST }]).mockResolvedValueOnce([{ n: POST }]);
+
+    post.title = 'Hello';
+    await post.save({ transaction: 'tx' });
+    await post.reload({ transaction: 'tx' });
+    await post.restore({ transaction: 'tx' });
+
+    expect(sequelize.query).toHaveBeenCalledTimes(5);
+    sequelize.query.mock.calls.slice(2).forEach(([, options]) => expect(options.transaction).toBe('tx'));
+  });
+
+  test('should throw when reloading a deleted element', async () => {
+    await expect(alice.reload()).rejects.toThrow('no longer exists');
+  });
+
+  test('should destroy itself by id()', async () => {
+    await alice.destroy();
+    expect(sentQuery(sequelize, 1).sql).toContain('$$ MATCH (n:Person) WHERE id(n) = 844424930131969 DELETE n RETURN count(*) AS count $$');
+  });
+
+  test('should detach delete itself', async () => {
+    await alice.destroy({ detach: true });
+    expect(sentQuery(sequelize, 1).sql).toContain('WHERE id(n) = 844424930131969 DETACH DELETE n');
+  });
+
+  test('should create new instances on save', async () => {
+    sequelize.query.mockResolvedValueOnce([{ n: '{"id": 5, "label": "Person", "properties": {"name": "Bob"}}::vertex' }]);
+
+    const bob = Person.build({ name: 'Bob' });
+    expect(bob.isNewRecord).toBe(true);
+    await bob.save();
+
+    expect(bob.isNewRecord).toBe(false);
+    expect(bob.id).toBe(5);
+    expect(bob.toJSON()).toEqual({ id: 5, name: 'Bob' });
+  });
+
+  test('should match edges by id()', async () => {
+    const edgeSequelize = mockSequelize([{ n: '{"id": 7, "label": "KNOWS", "start_id": 1, "end_id": 2, "properties": {"since": 2020}}::edge' }]);
+    const Knows = new GraphModel(edgeSequelize, 'KNOWS', {}, { graphName: 'g', type: 'edge' });
+    const [knows] = await Knows.findAll({ raw: false });
+
+    expect(knows.toJSON()).toEqual({ id: 7, since: 2020, startId: 1, endId: 2 });
+
+    await knows.destroy();
+    expect(sentQuery(edgeSequelize, 1).sql).toContain('MATCH (a)-[n:KNOWS]->(b) WHERE id(n) = 7 DELETE n');
+  });
+
+  describe('paranoid models', () => {
+    let Post;
+    let post;
+
+    beforeEach(async () => {
+      sequelize = mockSequelize([{ n: '{"id": 9, "label": "Post", "properties": {"title": "Hi"}}::vertex' }]);
+      Post = new GraphModel(sequelize, 'Post', { title: String }, { graphName: 'g', timestamps: true, paranoid: true });
+      post = await Post.findByPk(9);
+    });
+
+    test('should stamp updatedAt on save', async () => {
+      sequelize.query.mockResolvedValueOnce([{ n: '{"id": 9, "label": "Post", "properties": {"title": "Bye"}}::vertex' }]);
+
+      post.title = 'Bye';
+      await post.save();
+
+      const { sql, params } = sentQuery(sequelize, 1);
+      expect(sql).toContain('SET n.`title` = $p0, n.`updatedAt` = $p1');
+      expect(params.p1).toEqual(expect.any(String));
+    });
+
+    test('should soft delete and restore', async () => {
+      await post.destroy();
+      expect(sentQuery(sequelize, 1).sql).toContain('WHERE id(n) = 9 SET n.`deletedAt` = $p0');
+      expect(post.deletedAt).toEqual(expect.any(String));
+
+      await post.restore();
+      expect(sentQuery(sequelize, 2).sql).toContain('WHERE id(n) = 9 REMOVE n.`deletedAt`');
+      expect(post.deletedAt).toBeUndefined();
+    });
+
+    test('should hard delete with force', async () => {
+      await post.destroy({ force: true });
+      expect(sentQuery(sequelize, 1).sql).toContain('WHERE id(n) = 9 DELETE n');
+    });
+  });
+});
@@ -0,0 +1,1108 @@
+/**
+ * Tests for graph models
+ */
+
+const PostgresQuery = require('sequelize/lib/dialects/postgres/query');
+const { GraphModel, ModelRegistry } = require('../src/models');
+const { ValidationError } = require('../src/validation');
+const { Vertex } = require('../src/types');
+const { IndexManager } = require('../src/optimization');
+
+function mockSequelize(rows = []) {
+  return {
+    query: jest.fn().mockResolvedValue(rows),
+    transaction: jest.fn(callback => callback('tx')),
+    QueryTypes: { SELECT: 'SELECT' }
+  };
+}
+
+/**
+ * SQL and bind values as they reach postgres after Sequelize resolves bind markers
+ */
+function sentQuery(sequelize, call = 0) {
+  const [query, options] = sequelize.query.mock.calls[call];
+  const [sql] = PostgresQuery.formatBindParameters(query, options.bind, 'postgres');
+  return { sql, params: JSON.parse(options.bind[0]) };
+}
+
+describe('GraphModel', () => {
+  describe('where builder', () => {
+    let model;
+
+    beforeEach(() => {
+      model = new GraphModel(mockSequelize(), 'Person', {}, { graphName: 'g' });
+    });
+
+    test('should bind equality values as parameters', () => {
+      const params = {};
+      const clause = model._buildWhereClause({ name: 'Alice', age: 30, active: true }, 'n', params);
+
+      expect(clause).toBe('n.`name` = $p0 AND n.`age` = $p1 AND n.`active` = $p2');
+      expect(params).toEqual({ p0: 'Alice', p1: 30, p2: true });
+    });
+
+    test('should bind operator values as parameters', () => {
+      const params = {};
+      const clause = model._buildWhereClause({ age: { $gte: 18, $lt: 65 }, name: { $in: ['a', 'b'] } }, 'n', params);
+
+      expect(clause).toBe('n.`age` >= $p0 AND n.`age` < $p1 AND n.`name` IN $p2');
+      expect(params).toEqual({ p0: 18, p1: 65, p2: ['a', 'b'] });
+    });
+
+    test('should build null checks', () => {
+      const params = {};
+      const clause = model._buildWhereClause({ a: null, b: { $ne: null }, c: { $notIn: [1] } }, 'n', params);
+
+      expect(clause).toBe('n.`a` IS NULL AND n.`b` IS NOT NULL AND NOT n.`c` IN $p0');
+      expect(params).toEqual({ p0: [1] });
+    });
+
+    test('should reject $in without an array', () => {
+      expect(() => model._buildWhereClause({ name: { $in: 'a' } })).toThrow('requires an array');
+    });
+
+    test('should reject undefined values', () => {
+      expect(() => model._buildWhereClause({ name: undefined })).toThrow('invalid "undefined" value');
+    });
+
+    test('should escape backticks in property names', () => {
+      const clause = model._buildWhereClause({ 'a` = 1 OR 1 = 1 //': 'x' });
+      expect(clause).toBe('n.`a`` = 1 OR 1 = 1 //` = $p0');
+    });
+
+    test('should reject property names containing $', () => {
+      expect(() => model._buildWhereClause({ 'x$$) as (a agtype); DROP TABLE users; --': 1 })).toThrow('Invalid property name');
+      expect(() => model._buildWhereClause({ '': 1 })).toThrow('Invalid property name');
+    });
+
+    test('should group conditions with $or, $and and $not', () => {
+      const params = {};
+      const clause = model._buildWhereClause({
+        $or: [{ name: 'a', age: { $gt: 1 } }, { name: 'b' }],
+        $not: { banned: true }
+      }, 'n', params);
+
+      expect(clause).toBe('((n.`name` = $p0 AND n.`age` > $p1) OR n.`name` = $p2) AND NOT n.`banned` = $p3');
+      expect(params).toEqual({ p0: 'a', p1: 1, p2: 'b', p3: true });
+    });
+
+    test('should group operators on a single property', () => {
+      const params = {};
+      const clause = model._buildWhereClause({
+        age: { $or: [{ $lt: 18 }, { $gt: 65 }] },
+        email: { $not: null },
+        rank: { $or: { $eq: null, $gte: 3 } }
+      }, 'n', params);
+
+      expect(clause).toBe('(n.`age` < $p0 OR n.`age` > $p1) AND n.`email` IS NOT NULL AND (n.`rank` IS NULL OR n.`rank` >= $p2)');
+    });
+
+    test('should match nothing for an empty $or', () => {
+      expect(model._buildWhereClause({ $or: [] })).toBe('false');
+      expect(model._buildWhereClause({ $and: [] })).toBe('true');
+    });
+
+    test('should map string operators', () => {
+      const params = {};
+      const clause = model._buildWhereClause({
+        a: { $startsWith: 'x' },
+        b: { $endsWith: 'y' },
+        c: { $contains: 'z' },
+        d: { $regex: '^[a-z]+$' }
+      }, 'n', params);
+
+      expect(clause).toBe('n.`a` STARTS WITH $p0 AND n.`b` ENDS WITH $p1 AND n.`c` CONTAINS $p2 AND n.`d` =~ $p3');
+      expect(params).toEqual({ p0: 'x', p1: 'y', p2: 'z', p3: '^[a-z]+$' });
+    });
+
+    test('should translate LIKE patterns to bound regular expressions', () => {
+      const params = {};
+      const clause = model._buildWhereClause({
+        a: { $like: '50%_off.(x)' },
+        b: { $notILike: 'abc%' }
+      }, 'n', params);
+
+      expect(clause).toBe('n.`a` =~ $p0 AND NOT n.`b` =~ $p1');
+      expect(params).toEqual({ p0: '^50.*.off\\.\\(x\\)$', p1: '(?i)^abc.*$' });
+    });
+
+    test('should map list operators for array properties', () => {
+      const params = {};
+      const clause = model._buildWhereClause({
+        tags: { $includes: 'a', $notIncludes: 'b' },
+        roles: { $includesAny: ['admin', 'owner'] },
+        skills: { $includesAll: ['js', 'sql'] }
+      }, 'n', params);
+
+      expect(clause).toBe('$p0 IN n.`tags` AND NOT $p1 IN n.`tags` AND ($p2 IN n.`roles` OR $p3 IN n.`roles`) AND ($p4 IN n.`skills` AND $p5 IN n.`skills`)');
+    });
+
+    test('should throw on unknown operators', () => {
+      expect(() => model._buildWhereClause({ name: { $like2: 'x' } })).toThrow('Unknown where operator: $like2');
+      expect(() => model._buildWhereClause({ $xor: [] })).toThrow('Unknown where operator: $xor');
+      expect(() => model._buildWhereClause({ age: { $gt: 1, max: 2 } })).toThrow('Unknown where operator: max');
+    });
+
+    test('should validate order fields and directions', () => {
+      expect(model._buildOrderClause([['age', 'desc'], 'name'])).toBe('n.`age` DESC, n.`name`');
+      expect(() => model._buildOrderClause([['age', 'DESC; DROP']])).toThrow('Invalid order direction');
+    });
+  });
+
+  describe('queries', () => {
+    test('should keep hostile string values out of the query text', async () => {
+      const sequelize = mockSequelize();
+      const model = new GraphModel(sequelize, 'Person', {}, { graphName: 'g' });
+      const hostile = '"}) DETACH DELETE n //\' $$; DROP TABLE users; --';
+
+      await model.findAll({ where: { name: hostile, nick: { $gt: hostile }, tags: { $in: [hostile] } } });
+
+      const { sql, params } = sentQuery(sequelize);
+      expect(sql).toBe('SELECT * FROM ag_catalog.cypher(\'g\', $$ MATCH (n:Person) WHERE n.`name` = $p0 AND n.`nick` > $p1 AND n.`tags` IN $p2 RETURN n $$, $1) as ("n" ag_catalog.agtype);');
+      expect(params).toEqual({ p0: hostile, p1: hostile, p2: [hostile] });
+    });
+
+    test('should run queries without a where clause unparameterized', async () => {
+      const sequelize = mockSequelize();
+      const model = new GraphModel(sequelize, 'Person', {}, { graphName: 'g' });
+
+      await model.findAll();
+
+      const [query, options] = sequelize.query.mock.calls[0];
+      expect(query).toBe('SELECT * FROM ag_catalog.cypher(\'g\', $$ MATCH (n:Person) RETURN n $$) as ("n" ag_catalog.agtype);');
+      expect(options.bind).toBeUndefined();
+    });
+
+    test('should bind BigInt ids losslessly', async () => {
+      const sequelize = mockSequelize();
+      const model = new GraphModel(sequelize, 'Person', {}, { graphName: 'g' });
+
+      await model.findAll({ where: { id: 18446462598732840961n } });
+
+      expect(sequelize.query.mock.calls[0][1].bind).toEqual(['{"p0":18446462598732840961}']);
+    });
+
+    test('should report the number of updated and deleted entities', async () => {
+      const sequelize = mockSequelize([{ count: '3' }]);
+      const model = new GraphModel(sequelize, 'Person', {}, { graphName: 'g' });
+
+      await expect(model.update({ active: false }, { where: { age: { $gt: 60 } } })).resolves.toBe(3);
+      await expect(model.destroy({ where: { active: false } })).resolves.toBe(3);
+
+      sequelize.query.mockResolvedValueOnce([]);
+      await expect(model.destroy({ where: { active: false } })).resolves.toBe(0);
+
+      expect(sequelize.query.mock.calls[0][0]).toContain('as ("count" ag_catalog.agtype)');
+      expect(sentQuery(sequelize, 1).sql).toContain('WHERE n.`active` = $p0 DELETE n RETURN count(*) AS count $$');
+    });
+
+    test('should return the updated entities with returning', async () => {
+      const sequelize = mockSequelize([
+        { n: '{"id": 1, "label": "Person", "properties": {"active": false}}::vertex' },
+        { n: '{"id": 2, "label": "Person", "properties": {"active": false}}::vertex' }
+      ]);
+      const model = new GraphModel(sequelize, 'Person', {}, { graphName: 'g' });
+
+      const [count, people] = await model.update({ active: false }, { returning: true });
+
+      expect(sentQuery(sequelize).sql).toContain('SET n.`active` = $p0 RETURN n $$');
+      expect(count).toBe(2);
+      expect(people.map(person => person.id)).toEqual([1, 2]);
+      expect(people[0]).toBeInstanceOf(model.Instance);
+    });
+
+    test('should bind update values and where values together', async () => {
+      const sequelize = mockSequelize();
+      const model = new GraphModel(sequelize, 'Person', {}, { graphName: 'g' });
+
+      await model.update({ name: 'x\' OR 1=1' }, { where: { name: { $ne: 'y' } } });
+
+      const { sql, params } = sentQuery(sequelize);
+      expect(sql).toContain('WHERE n.`name` <> $p0 SET n.`name` = $p1 RETURN count(*) AS count $$');
+      expect(params).toEqual({ p0: 'y', p1: 'x\' OR 1=1' });
+    });
+
+    test('should find by primary key with id()', async () => {
+      const sequelize = mockSequelize([{ n: '{"id": 844424930131969, "label": "Person", "properties": {"name": "Alice"}}::vertex' }]);
+      const model = new GraphModel(sequelize, 'Person', {}, { graphName: 'g' });
+
+      const person = await model.findByPk('844424930131969');
+
+      expect(sequelize.query.mock.calls[0][0]).toContain('$$ MATCH (n:Person) WHERE id(n) = 844424930131969 RETURN n LIMIT 1 $$');
+      expect(person.id).toBe(844424930131969);
+      await expect(model.findByPk('1) OR true')).rejects.toThrow();
+    });
+
+    test('should find by a primaryKey property', async () => {
+      const sequelize = mockSequelize();
+      const model = new GraphModel(sequelize, 'User', { email: String }, { graphName: 'g', primaryKey: 'email' });
+
+      await model.findByPk('b@x.io', { where: { active: true } });
+
+      const { sql, params } = sentQuery(sequelize);
+      expect(sql).toContain('WHERE n.`active` = $p0 AND n.`email` = $p1 RETURN n LIMIT 1');
+      expect(params).toEqual({ p0: true, p1: 'b@x.io' });
+      expect(new IndexManager(sequelize, 'g').primaryKeyIndex(model))
+        .toBe('CREATE INDEX ON g."User" (ag_catalog.agtype_access_operator(properties, \'"email"\'::agtype))');
+      expect(new IndexManager(sequelize, 'g').primaryKeyIndex(new GraphModel(sequelize, 'Post', {}))).toBeNull();
+
+      expect(() => new GraphModel(sequelize, 'User', { email: String }, { primaryKey: 'name' })).toThrow('primaryKey name is not an attribute of User');
+      expect(new GraphModel(sequelize, 'User', {}, { primaryKey: 'id' }).primaryKey).toBeNull();
+    });
+
+    test('should reject non-integer limits', async () => {
+      const model = new GraphModel(mockSequelize(), 'Person', {}, { graphName: 'g' });
+      await expect(model.findAll({ limit: '1 MATCH (m) DETACH DELETE m' })).rejects.toThrow('Invalid limit');
+    });
+
+    test('should count with bound where values', async () => {
+      const sequelize = mockSequelize([{ count: '3' }]);
+      const model = new GraphModel(sequelize, 'Person', {}, { graphName: 'g' });
+
+      const count = await model.count({ where: { age: { $gt: 20 } } });
+
+      expect(count).toBe(3);
+      expect(sentQuery(sequelize).params).toEqual({ p0: 20 });
+    });
+  });
+
+  describe('create', () => {
+    test('should bind property values on models without attributes', async () => {
+      const sequelize = mockSequelize([{ n: '{"id": 1, "label": "Person", "properties": {}}::vertex' }]);
+      const model = new GraphModel(sequelize, 'Person', {}, { graphName: 'g' });
+
+      await model.create({ note: '$$) as (n agtype); DROP TABLE users; --', big: 9007199254740993n });
+
+      const [query, options] = sequelize.query.mock.calls[0];
+      expect(query).not.toContain('DROP TABLE');
+      expect(options.bind).toEqual(['{"p0":"$$) as (n agtype); DROP TABLE users; --","p1":9007199254740993}']);
+      expect(sentQuery(sequelize).sql).toContain('$$ CREATE (n:Person {`note`: $p0, `big`: $p1}) RETURN n $$, $1)');
+    });
+
+    test('should reject unsafe property names', async () => {
+      const sequelize = mockSequelize();
+      const model = new GraphModel(sequelize, 'Person', {}, { graphName: 'g' });
+
+      await expect(model.create({ 'x: 1}) DETACH DELETE n //$': 1 })).rejects.toThrow('Invalid property name');
+      expect(sequelize.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('attributes', () => {
+    const attributes = {
+      name: { type: String, allowNull: false },
+      age: Number,
+      role: { type: String, defaultValue: 'member' }
+    };
+
+    test('should validate and coerce before creating', async () => {
+      const sequelize = mockSequelize([{ n: '{"id": 1, "label": "Person", "properties": {}}::vertex' }]);
+      const model = new GraphModel(sequelize, 'Person', attributes, { graphName: 'g' });
+
+      await model.create({ name: 'Ann', age: '31' });
+
+      const { sql, params } = sentQuery(sequelize);
+      expect(sql).toContain('CREATE (n:Person {`name`: $p0, `age`: $p1, `role`: $p2})');
+      expect(params).toEqual({ p0: 'Ann', p1: 31, p2: 'member' });
+    });
+
+    test('should reject undefined properties without querying', async () => {
+      const sequelize = mockSequelize();
+      const model = new GraphModel(sequelize, 'Person', attributes, { graphName: 'g' });
+
+      const error = await model.create({ nmae: 'Ann' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.errors.map(e => e.message)).toEqual([
+        'nmae is not a defined attribute of Person',
+        'Person.name cannot be null'
+      ]);
+      expect(sequelize.query).not.toHaveBeenCalled();
+    });
+
+    test('should validate updated properties only', async () => {
+      const sequelize = mockSequelize();
+      const model = new GraphModel(sequelize, 'Person', attributes, { graphName: 'g' });
+
+      await model.update({ age: '40' }, { where: { name: 'Ann' } });
+      expect(sentQuery(sequelize).params).toEqual({ p0: 'Ann', p1: 40 });
+
+      await expect(model.update({ age: 'old' })).rejects.toThrow('"old" is not a valid number');
+    });
+
+    test('should accept any property on models without attributes', async () => {
+      const sequelize = mockSequelize([{ count: '1' }]);
+      const model = new GraphModel(sequelize, 'Thing', {}, { graphName: 'g' });
+
+      await expect(model.update({ anything: 1 })).resolves.toBe(1);
+    });
+  });
+
+  describe('timestamps and paranoid', () => {
+    const NOW = '2024-05-01T12:00:00.000Z';
+
+    beforeEach(() => {
+      jest.useFakeTimers().setSystemTime(new Date(NOW));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    function paranoidModel(sequelize, options = {}) {
+      return new GraphModel(sequelize, 'Post', { title: String }, { graphName: 'g', timestamps: true, paranoid: true, ...options });
+    }
+
+    test('should stamp createdAt and updatedAt on create', async () => {
+      const sequelize = mockSequelize([{ n: '{"id": 1, "label": "Post", "properties": {}}::vertex' }]);
+      await paranoidModel(sequelize).create({ title: 'Hi' });
+
+      const { sql, params } = sentQuery(sequelize);
+      expect(sql).toContain('CREATE (n:Post {`title`: $p0, `createdAt`: $p1, `updatedAt`: $p2})');
+      expect(params).toEqual({ p0: 'Hi', p1: NOW, p2: NOW });
+    });
+
+    test('should stamp updatedAt on update unless silent', async () => {
+      const sequelize = mockSequelize();
+      const model = paranoidModel(sequelize);
+
+      await model.update({ title: 'New' }, { where: { title: 'Old' } });
+      await model.update({ title: 'New' }, { silent: true });
+
+      expect(sentQuery(sequelize, 0).sql).toContain('WHERE n.`deletedAt` IS NULL AND n.`title` = $p0 SET n.`title` = $p1, n.`updatedAt` = $p2');
+      expect(sentQuery(sequelize, 0).params.p2).toBe(NOW);
+      expect(sentQuery(sequelize, 1).params).toEqual({ p0: 'New' });
+    });
+
+    test('should honour renamed and disabled timestamp attributes', async () => {
+      const sequelize = mockSequelize([{ n: '{"id": 1, "label": "Post", "properties": {}}::vertex' }]);
+      await paranoidModel(sequelize, { createdAt: 'created_at', updatedAt: false }).create({ title: 'Hi' });
+
+      expect(sentQuery(sequelize).sql).toContain('{`title`: $p0, `created_at`: $p1}');
+      expect(sentQuery(sequelize).params).toEqual({ p0: 'Hi', p1: NOW });
+    });
+
+    test('should exclude soft-deleted elements unless paranoid is false', async () => {
+      const sequelize = mockSequelize();
+      const model = paranoidModel(sequelize);
+
+      await model.findAll({ where: { $or: [{ title: 'a' }, { title: 'b' }] } });
+      await model.findAll({ paranoid: false });
+
+      expect(sentQuery(sequelize, 0).sql).toContain('WHERE n.`deletedAt` IS NULL AND (n.`title` = $p0 OR n.`title` = $p1) RETURN n');
+      expect(sequelize.query.mock.calls[1][0]).toContain('$$ MATCH (n:Post) RETURN n $$');
+    });
+
+    test('should soft delete by setting deletedAt', async () => {
+      const sequelize = mockSequelize();
+      await paranoidModel(sequelize).destroy({ where: { title: 'x' } });
+
+      const { sql, params } = sentQuery(sequelize);
+      expect(sql).toContain('WHERE n.`deletedAt` IS NULL AND n.`title` = $p0 SET n.`deletedAt` = $p1 RETURN count(*) AS count $$');
+      expect(params.p1).toBe(NOW);
+    });
+
+    test('should hard delete with force', async () => {
+      const sequelize = mockSequelize();
+      await paranoidModel(sequelize).destroy({ where: { title: 'x' }, force: true });
+
+      expect(sentQuery(sequelize).sql).toContain('WHERE n.`title` = $p0 DELETE n RETURN count(*) AS count $$');
+    });
+
+    test('should restore soft-deleted elements', async () => {
+      const sequelize = mockSequelize();
+      await paranoidModel(sequelize).restore({ where: { title: 'x' }, transaction: 'tx' });
+
+      expect(sentQuery(sequelize).sql).toContain('WHERE n.`deletedAt` IS NOT NULL AND n.`title` = $p0 REMOVE n.`deletedAt`');
+      expect(sequelize.query.mock.calls[0][1].transaction).toBe('tx');
+    });
+
+    test('should refuse to restore non-paranoid models', async () => {
+      const model = new GraphModel(mockSequelize(), 'Post', {}, { graphName: 'g' });
+      await expect(model.restore()).rejects.toThrow('Post is not paranoid');
+    });
+  });
+
+  describe('bulkCreate', () => {
+    test('should insert vertices with one UNWIND statement per chunk', async () => {
+      const sequelize = mockSequelize([{ n: '{"id": 1, "label": "Person", "properties": {"name": "a"}}::vertex' }]);
+      const model = new GraphModel(sequelize, 'Person', { name: String, age: Number }, { graphName: 'g' });
+
+      const created = await model.bulkCreate([{ name: 'a' }, { name: 'b' }, { name: 'c' }], { chunkSize: 2 });
+
+      expect(sequelize.query).toHaveBeenCalledTimes(2);
+      const { sql, params } = sentQuery(sequelize);
+      expect(sql).toContain('$$ UNWIND $rows AS row CREATE (n:Person {`name`: row.`name`}) RETURN n $$, $1');
+      expect(params).toEqual({ rows: [{ name: 'a' }, { name: 'b' }] });
+      expect(sentQuery(sequelize, 1).params).toEqual({ rows: [{ name: 'c' }] });
+      expect(created).toHaveLength(2);
+      expect(created[0].name).toBe('a');
+    });
+
+    test('should use a statement per set of property names', async () => {
+      const sequelize = mockSequelize();
+      const model = new GraphModel(sequelize, 'Person', {}, { graphName: 'g' });
+
+      await model.bulkCreate([{ name: 'a' }, { age: 2, name: 'b' }, {}]);
+
+      expect(sentQuery(sequelize, 1).sql).toContain('CREATE (n:Person {`age`: row.`age`, `name`: row.`name`})');
+      expect(sentQuery(sequelize, 2).sql).toContain('CREATE (n:Person) RETURN n');
+    });
+
+    test('should validate every row before writing', async () => {
+      const sequelize = mockSequelize();
+      const model = new GraphModel(sequelize, 'Person', { name: { type: String, allowNull: false } }, { graphName: 'g' });
+
+      const error = await model.bulkCreate([{ name: 'a' }, {}, { name: 'c', age: 1 }]).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.errors.map(e => `${e.row}:${e.path}`)).toEqual(['1:name', '2:age']);
+      expect(error.message).toContain('Row 1: Person.name cannot be null');
+      expect(sequelize.query).not.toHaveBeenCalled();
+    });
+
+    test('should add timestamps', async () => {
+      const now = '2024-05-01T12:00:00.000Z';
+      jest.useFakeTimers().setSystemTime(new Date(now));
+      const sequelize = mockSequelize();
+      await new GraphModel(sequelize, 'Post', {}, { graphName: 'g', timestamps: true }).bulkCreate([{ title: 'x' }]);
+      jest.useRealTimers();
+
+      expect(sentQuery(sequelize).params.rows).toEqual([{ title: 'x', createdAt: now, updatedAt: now }]);
+    });
+
+    const KNOWS = '{"id": 3, "label": "KNOWS", "start_id": 1, "end_id": 2, "properties": {}}::edge';
+    const created = (...indexes) => indexes.map(i => ({ n: KNOWS, i: String(i) }));
+
+    test('should create edges between vertices matched by id', async () => {
+      const sequelize = mockSequelize(created(0));
+      const model = new GraphModel(sequelize, 'KNOWS', {}, { graphName: 'g', type: 'edge' });
+
+      const edges = await model.bulkCreate([{ from: 1, to: '2', properties: { since: 2020 } }]);
+
+      const { sql, params } = sentQuery(sequelize);
+      expect(sql).toContain('UNWIND $rows AS row MATCH (a), (b) WHERE id(a) = row.from AND id(b) = row.to ' +
+        'CREATE (a)-[n:KNOWS {`since`: row.properties.`since`}]->(b) RETURN n, row.i AS i');
+      expect(params.rows).toEqual([{ i: 0, from: 1, to: 2, properties: { since: 2020 } }]);
+      expect(edges).toHaveLength(1);
+      expect(edges[0].startId).toBe(1);
+    });
+
+    test('should match edge endpoints by a key property', async () => {
+      const sequelize = mockSequelize(created(0));
+      const model = new GraphModel(sequelize, 'FOLLOWS', {}, { graphName: 'g', type: 'edge' });
+
+      await model.bulkCreate([{ from: 'a@x.io', to: 'b@x.io' }], {
+        from: { label: 'User', key: 'email' },
+        to: { label: 'User', key: 'email' }
+      });
+
+      expect(sentQuery(sequelize).sql).toContain('MATCH (a:User), (b:User) WHERE a.`email` = row.from AND b.`email` = row.to CREATE (a)-[n:FOLLOWS]->(b)');
+    });
+
+    test('should roll back the load when edge endpoints match no vertex', async () => {
+      const sequelize = mockSequelize();
+      sequelize.query.mockResolvedValueOnce(created(0, 1)).mockResolvedValueOnce(created(2));
+      const model = new GraphModel(sequelize, 'KNOWS', {}, { graphName: 'g', type: 'edge' });
+      const rows = [{ from: 1, to: 2 }, { from: 1, to: 3 }, { from: 1, to: 4 }, { from: 1, to: 99 }];
+
+      await expect(model.bulkCreate(rows, { chunkSize: 2 }))
+        .rejects.toThrow('Cannot create KNOWS: no "from" vertex or "to" vertex found for row 3');
+
+      expect(sequelize.transaction).toHaveBeenCalledTimes(1);
+      expect(sequelize.query).toHaveBeenCalledTimes(2);
+      sequelize.query.mock.calls.forEach(([, options]) => expect(options.transaction).toBe('tx'));
+    });
+
+    test('should throw when a key matches several vertices, in the given transaction', async () => {
+      const sequelize = mockSequelize(created(0, 0));
+      const model = new GraphModel(sequelize, 'FOLLOWS', {}, { graphName: 'g', type: 'edge' });
+      const options = { from: { label: 'User', key: 'email' }, to: { label: 'User', key: 'email' }, transaction: 'outer' };
+
+      await expect(model.bulkCreate([{ from: 'a@x.io', to: 'b@x.io' }, { from: 'a@x.io', to: 'nobody' }], options))
+        .rejects.toThrow('Cannot create FOLLOWS: no "from" vertex or "to" vertex found for row 1; several found for row 0');
+
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+      expect(sequelize.query.mock.calls[0][1].transaction).toBe('outer');
+    });
+
+    test('should reject invalid edge rows and options', async () => {
+      const model = new GraphModel(mockSequelize(), 'KNOWS', {}, { graphName: 'g', type: 'edge' });
+
+      await expect(model.bulkCreate([{ to: 1 }])).rejects.toThrow('Edge rows require "from"');
+      await expect(model.bulkCreate([{ from: 'x', to: 1 }])).rejects.toThrow();
+      await expect(model.bulkCreate([{ from: 1, to: 2 }], { from: { label: 'A) DETACH', key: 'k' } })).rejects.toThrow('Invalid label');
+      await expect(model.bulkCreate([], { chunkSize: 0 })).rejects.toThrow('Invalid chunkSize');
+    });
+  });
+
+  describe('upsert and findOrCreate', () => {
+    const row = created => [{ n: '{"id": 3, "label": "User", "properties": {"email": "a@x.io"}}::vertex', created: String(created) }];
+
+    test('should MERGE on the conflict keys and report creation', async () => {
+      const sequelize = mockSequelize(row(true));
+      const User = new GraphModel(sequelize, 'User', { email: String, name: String, role: { type: String, defaultValue: 'member' } }, { graphName: 'g' });
+
+      const [user, created] = await User.upsert({ email: 'a@x.io', name: 'Al' }, { conflictKeys: ['email'] });
+
+      const { sql, params } = sentQuery(sequelize);
+      expect(sql).toContain('$$ OPTIONAL MATCH (e:User {`email`: $p0}) WITH count(e) = 0 AS created ' +
+        'MERGE (n:User {`email`: $p0}) ON CREATE SET n.`name` = $p1, n.`role` = $p2 ON MATCH SET n.`name` = $p3 RETURN n, created $$');
+      expect(params).toEqual({ p0: 'a@x.io', p1: 'Al', p2: 'member', p3: 'Al' });
+      expect(created).toBe(true);
+      expect(user).toBeInstanceOf(User.Instance);
+      expect(user.id).toBe(3);
+    });
+
+    test('should report matched elements', async () => {
+      const User = new GraphModel(mockSequelize(row(false)), 'User', {}, { graphName: 'g' });
+      const [, created] = await User.upsert({ email: 'a@x.io' }, { conflictKeys: ['email'] });
+      expect(created).toBe(false);
+    });
+
+    test('should require conflict keys with values', async () => {
+      const User = new GraphModel(mockSequelize(), 'User', {}, { graphName: 'g' });
+
+      await expect(User.upsert({ email: 'a@x.io' })).rejects.toThrow('User.upsert requires conflictKeys');
+      await expect(User.upsert({ name: 'Al' }, { conflictKeys: ['email'] })).rejects.toThrow('requires a value for conflict key "email"');
+    });
+
+    test('should stamp createdAt on create and updatedAt on both', async () => {
+      const sequelize = mockSequelize(row(true));
+      const User = new GraphModel(sequelize, 'User', {}, { graphName: 'g', timestamps: true });
+
+      await User.upsert({ email: 'a@x.io', name: 'Al' }, { conflictKeys: ['email'] });
+
+      expect(sentQuery(sequelize).sql).toContain('ON CREATE SET n.`name` = $p1, n.`createdAt` = $p2, n.`updatedAt` = $p3 ' +
+        'ON MATCH SET n.`name` = $p4, n.`updatedAt` = $p5');
+    });
+
+    test('should merge edges between the given vertices', async () => {
+      const sequelize = mockSequelize([{ n: '{"id": 7, "label": "KNOWS", "start_id": 1, "end_id": 2, "properties": {}}::edge', created: 'false' }]);
+      const Knows = new GraphModel(sequelize, 'KNOWS', {}, { graphName: 'g', type: 'edge' });
+
+      const [knows, created] = await Knows.upsert({ since: 2020 }, { from: 1, to: 2 });
+
+      expect(sentQuery(sequelize).sql).toContain('$$ MATCH (a), (b) WHERE id(a) = 1 AND id(b) = 2 ' +
+        'OPTIONAL MATCH (a)-[e:KNOWS]->(b) WITH a, b, count(e) = 0 AS created ' +
+        'MERGE (a)-[n:KNOWS]->(b) ON CREATE SET n.`since` = $p0 ON MATCH SET n.`since` = $p1 RETURN n, created $$');
+      expect(knows.startId).toBe(1);
+      expect(created).toBe(false);
+    });
+
+    test('should throw when edge endpoints are missing', async () => {
+      const Knows = new GraphModel(mockSequelize(), 'KNOWS', {}, { graphName: 'g', type: 'edge' });
+      await expect(Knows.upsert({}, { from: 1, to: 2 })).rejects.toThrow('KNOWS could not be merged');
+    });
+
+    test('should find or create with defaults', async () => {
+      const sequelize = mockSequelize(row(true));
+      const User = new GraphModel(sequelize, 'User', {}, { graphName: 'g' });
+
+      const [user, created] = await User.findOrCreate({ where: { email: 'a@x.io' }, defaults: { name: 'Al' }, raw: true });
+
+      const { sql, params } = sentQuery(sequelize);
+      expect(sql).toContain('MERGE (n:User {`email`: $p0}) ON CREATE SET n.`name` = $p1 RETURN n, created $$');
+      expect(sql).not.toContain('ON MATCH');
+      expect(params).toEqual({ p0: 'a@x.io', p1: 'Al' });
+      expect(user.properties).toEqual({ email: 'a@x.io' });
+      expect(created).toBe(true);
+    });
+
+    test('should only accept equality values in findOrCreate', async () => {
+      const User = new GraphModel(mockSequelize(), 'User', {}, { graphName: 'g' });
+
+      await expect(User.findOrCreate({ where: { age: { $gt: 1 } } })).rejects.toThrow('requires plain equality values in where ("age")');
+      await expect(User.findOrCreate({ where: { email: null } })).rejects.toThrow('("email")');
+    });
+  });
+
+  describe('delete rules', () => {
+    function ruleSequelize(...rowSets) {
+      const sequelize = mockSequelize();
+      rowSets.forEach(rows => sequelize.query.mockResolvedValueOnce(rows));
+      sequelize.transaction = jest.fn(callback => callback('tx'));
+      return sequelize;
+    }
+
+    test('should detach delete with detach or cascade', async () => {
+      const sequelize = mockSequelize();
+      const model = new GraphModel(sequelize, 'User', {}, { graphName: 'g' });
+
+      await model.destroy({ where: { name: 'a' }, detach: true });
+      await model.destroy({ cascade: true });
+
+      expect(sentQuery(sequelize).sql).toContain('WHERE n.`name` = $p0 DETACH DELETE n RETURN count(*) AS count');
+      expect(sequelize.query.mock.calls[1][0]).toContain('MATCH (n:User) DETACH DELETE n');
+    });
+
+    test('should apply cascade and nullify rules before deleting, in a transaction', async () => {
+      const sequelize = ruleSequelize([], [], [], [{ count: '1' }]);
+      const model = new GraphModel(sequelize, 'User', {}, {
+        graphName: 'g',
+        onDelete: {
+          OWNS: 'restrict',
+          AUTHORED: { action: 'cascade', label: 'Post' },
+          FOLLOWS: 'nullify'
+        }
+      });
+
+      await expect(model.destroy({ where: { name: 'a' } })).resolves.toBe(1);
+
+      const sql = [0, 1, 2, 3].map(call => sentQuery(sequelize, call).sql);
+      expect(sql[0]).toContain('MATCH (n:User), (n)-[r:OWNS]-(m) WHERE n.`name` = $p0 RETURN DISTINCT r');
+      expect(sql[1]).toContain('MATCH (n:User), (n)-[:AUTHORED]->(m:Post) WHERE n.`name` = $p0 WITH DISTINCT m DETACH DELETE m');
+      expect(sql[2]).toContain('MATCH (n:User), (n)-[r:FOLLOWS]-() WHERE n.`name` = $p0 WITH DISTINCT r DELETE r');
+      expect(sql[3]).toContain('MATCH (n:User) WHERE n.`name` = $p0 DELETE n RETURN count(*) AS count');
+      expect(sequelize.transaction).toHaveBeenCalledTimes(1);
+      sequelize.query.mock.calls.forEach(([, options]) => expect(options.transaction).toBe('tx'));
+    });
+
+    test('should refuse to delete with restricting edges', async () => {
+      const sequelize = ruleSequelize([
+        { r: '{"id": 11, "label": "OWNS", "start_id": 1, "end_id": 5, "properties": {}}::edge' },
+        { r: '{"id": 12, "label": "OWNS", "start_id": 1, "end_id": 6, "properties": {}}::edge' }
+      ]);
+      const model = new GraphModel(sequelize, 'User', {}, { graphName: 'g', onDelete: { OWNS: { action: 'restrict', direction: 'outgoing' } } });
+
+      await expect(model.destroy()).rejects.toThrow('Cannot delete User: restricted by OWNS edges 11 (1 -> 5), 12 (1 -> 6)');
+      expect(sequelize.query).toHaveBeenCalledTimes(1);
+      expect(sequelize.query.mock.calls[0][0]).toContain('MATCH (n:User), (n)-[r:OWNS]->(m) RETURN DISTINCT r');
+    });
+
+    test('should use the given transaction and skip rules on soft delete', async () => {
+      const sequelize = ruleSequelize();
+      const model = new GraphModel(sequelize, 'User', {}, { graphName: 'g', paranoid: true, onDelete: { FOLLOWS: 'nullify' } });
+
+      await model.destroy();
+      expect(sequelize.query).toHaveBeenCalledTimes(1);
+      expect(sequelize.query.mock.calls[0][0]).toContain('SET n.`deletedAt`');
+
+      await model.destroy({ force: true, transaction: 'outer' });
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+      expect(sequelize.query.mock.calls[1][0]).toContain('(n)-[r:FOLLOWS]-()');
+      expect(sequelize.query.mock.calls[2][1].transaction).toBe('outer');
+    });
+
+    test('should reject invalid rules', () => {
+      const define = onDelete => new GraphModel(mockSequelize(), 'User', {}, { graphName: 'g', onDelete });
+
+      expect(() => define({ FOLLOWS: 'explode' })).toThrow('Invalid onDelete action for FOLLOWS: explode');
+      expect(() => define({ 'A]-() DELETE': 'nullify' })).toThrow('Invalid edge label in onDelete');
+      expect(() => define({ A: { action: 'cascade', label: 'x y' } })).toThrow('Invalid label in onDelete rule');
+      expect(() => define({ A: { action: 'cascade', direction: 'up' } })).toThrow('Invalid onDelete direction');
+    });
+  });
+
+  describe('edge endpoints', () => {
+    const USER = '{"id": 1, "label": "User", "properties": {"name": "x"}}::vertex';
+    const POST = '{"id": 2, "label": "Post", "properties": {"title": "Hi"}}::vertex';
+    const POSTED = '{"id": 3, "label": "POSTED", "start_id": 1, "end_id": 2, "properties": {}}::edge';
+
+    function models(sequelize) {
+      const User = new GraphModel(sequelize, 'User', {}, { graphName: 'g' });
+      const Post = new GraphModel(sequelize, 'Post', {}, { graphName: 'g' });
+      const Posted = new GraphModel(sequelize, 'POSTED', {}, { graphName: 'g', type: 'edge', from: User, to: Post });
+      return { User, Post, Posted };
+    }
+
+    test('should match labelled endpoints on create', async () => {
+      const sequelize = mockSequelize([{ r: POSTED }]);
+      const { Posted } = models(sequelize);
+
+      await Posted.create({}, { from: 1, to: 2 });
+
+      expect(sequelize.query.mock.calls[0][0]).toContain('MATCH (a:User), (b:Post) WHERE id(a) = 1 AND id(b) = 2 CREATE (a)-[r:POSTED]->(b)');
+    });
+
+    test('should reject endpoints of the wrong model', async () => {
+      const sequelize = mockSequelize([{ n: POST }]);
+      const { Post, Posted } = models(sequelize);
+      const post = await Post.findByPk(2);
+
+      await expect(Posted.create({}, { from: post, to: post })).rejects.toThrow('POSTED "from" must be a User vertex, got Post');
+      expect(sequelize.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should throw when the endpoints are not found', async () => {
+      const { Posted } = models(mockSequelize());
+      await expect(Posted.create({}, { from: 2, to: 1 })).rejects.toThrow('Cannot create POSTED: User 2 or Post 1 not found');
+    });
+
+    test('should filter on endpoint properties and return the endpoints', async () => {
+      const sequelize = mockSequelize([{ n: POSTED, a: USER, b: POST }]);
+      const { User, Post, Posted } = models(sequelize);
+
+      const [posted] = await Posted.findAll({ where: { from: { name: 'x' }, to: { title: { $startsWith: 'H' } }, pinned: true } });
+
+      const { sql, params } = sentQuery(sequelize);
+      expect(sql).toContain('$$ MATCH (a:User)-[n:POSTED]->(b:Post) WHERE a.`name` = $p0 AND b.`title` STARTS WITH $p1 AND n.`pinned` = $p2 RETURN n, a, b $$');
+      expect(params).toEqual({ p0: 'x', p1: 'H', p2: true });
+      expect(posted).toBeInstanceOf(Posted.Instance);
+      expect(posted.from).toBeInstanceOf(User.Instance);
+      expect(posted.to).toBeInstanceOf(Post.Instance);
+      expect(posted.to.title).toBe('Hi');
+      expect(posted.toJSON().from.name).toBe('x');
+    });
+
+    test('should match endpoints in count, update and destroy', async () => {
+      const sequelize = mockSequelize();
+      const { Posted } = models(sequelize);
+
+      await Posted.count({ where: { from: { name: 'x' } } });
+      await Posted.update({ pinned: false }, { where: { to: { title: 'Hi' } } });
+      await Posted.destroy({ where: { from: { name: 'x' } } });
+
+      expect(sentQuery(sequelize, 0).sql).toContain('MATCH (a:User)-[n:POSTED]->(b:Post) WHERE a.`name` = $p0 RETURN count(n)');
+      expect(sentQuery(sequelize, 1).sql).toContain('MATCH (a:User)-[n:POSTED]->(b:Post) WHERE b.`title` = $p0 SET n.`pinned` = $p1');
+      expect(sentQuery(sequelize, 2).sql).toContain('MATCH (a:User)-[n:POSTED]->(b:Post) WHERE a.`name` = $p0 DELETE n');
+    });
+
+    test('should label bulk and merge endpoint matches', async () => {
+      const sequelize = mockSequelize();
+      const { Posted } = models(sequelize);
+      sequelize.query.mockResolvedValueOnce([{ n: POSTED, i: '0' }]);
+
+      await Posted.bulkCreate([{ from: 1, to: 2 }]);
+      await expect(Posted.upsert({}, { from: 1, to: 2 })).rejects.toThrow('check that the "from" User and "to" Post exist');
+
+      expect(sentQuery(sequelize, 0).sql).toContain('MATCH (a:User), (b:Post) WHERE id(a) = row.from');
+      expect(sequelize.query.mock.calls[1][0]).toContain('MATCH (a:User), (b:Post) WHERE id(a) = 1 AND id(b) = 2 OPTIONAL MATCH');
+    });
+
+    test('should reject invalid endpoint options', () => {
+      const sequelize = mockSequelize();
+      const { Posted } = models(sequelize);
+
+      expect(() => new GraphModel(sequelize, 'User', {}, { from: 'Post' })).toThrow('only supported on edge models');
+      expect(() => new GraphModel(sequelize, 'LIKES', {}, { type: 'edge', from: Posted })).toThrow('must be a vertex model, got POSTED');
+      expect(() => new GraphModel(sequelize, 'LIKES', {}, { type: 'edge', to: 'Post)' })).toThrow('Invalid to label for LIKES');
+      expect(new GraphModel(sequelize, 'LIKES', {}, { type: 'edge', to: 'Post' })._matchPattern('n')).toBe('(a)-[n:LIKES]->(b:Post)');
+    });
+  });
+
+  describe('include', () => {
+    const USER = '{"id": 1, "label": "User", "properties": {"name": "Ann"}}::vertex';
+    const POSTS = '[{"id": 5, "label": "Post", "properties": {"title": "Hi"}}::vertex, {"id": 6, "label": "Post", "properties": {"title": "Yo"}}::vertex]';
+
+    function models(sequelize) {
+      const User = new GraphModel(sequelize, 'User', { name: String }, { graphName: 'g' });
+      const Post = new GraphModel(sequelize, 'Post', { title: String }, { graphName: 'g', timestamps: true, paranoid: true });
+      const Tag = new GraphModel(sequelize, 'Tag', {}, { graphName: 'g' });
+      return { User, Post, Tag };
+    }
+
+    test('should collect related vertices with OPTIONAL MATCH', async () => {
+      const sequelize = mockSequelize([{ n: USER, i0: POSTS }]);
+      const { User, Post } = models(sequelize);
+
+      const [user] = await User.findAll({
+        where: { name: 'Ann' },
+        include: [{ relationship: 'POSTED', model: Post, where: { title: { $ne: 'Draft' } } }],
+        order: [['name', 'ASC']],
+        limit: 20
+      });
+
+      const { sql, params } = sentQuery(sequelize);
+      expect(sql).toContain('$$ MATCH (n:User) WHERE n.`name` = $p0 '
+        + 'OPTIONAL MATCH (n)-[:POSTED]->(i0:Post) WHERE i0.`deletedAt` IS NULL AND i0.`title` <> $p1 '
+        + 'WITH n, collect(DISTINCT i0) AS i0 RETURN n, i0 ORDER BY n.`name` ASC LIMIT 20 $$');
+      expect(sql).toContain('as ("n" ag_catalog.agtype, "i0" ag_catalog.agtype)');
+      expect(params).toEqual({ p0: 'Ann', p1: 'Draft' });
+      expect(user).toBeInstanceOf(User.Instance);
+      expect(user.Posts.map(post => post.title)).toEqual(['Hi', 'Yo']);
+      expect(user.Posts[0]).toBeInstanceOf(Post.Instance);
+      expect(user.toJSON().Posts).toHaveLength(2);
+      expect(user.get()).toEqual({ name: 'Ann' });
+    });
+
+    test('should use MATCH for required includes and chain several includes', async () => {
+      const sequelize = mockSequelize([{ n: USER, i0: '[]', i1: '[]' }]);
+      const { User, Post, Tag } = models(sequelize);
+
+      const [user] = await User.findAll({
+        include: [
+          { relationship: 'POSTED', model: Post, required: true, paranoid: false },
+          { relationship: 'FOLLOWS', model: Tag, direction: 'incoming', as: 'followers' }
+        ]
+      });
+
+      expect(sequelize.query.mock.calls[0][0]).toContain('MATCH (n:User) MATCH (n)-[:POSTED]->(i0:Post) WITH n, collect(DISTINCT i0) AS i0 '
+        + 'OPTIONAL MATCH (n)<-[:FOLLOWS]-(i1:Tag) WITH n, i0, collect(DISTINCT i1) AS i1 RETURN n, i0, i1 $$');
+      expect(user.Posts).toEqual([]);
+      expect(user.followers).toEqual([]);
+    });
+
+    test('should attach included vertices to raw results', async () => {
+      const sequelize = mockSequelize([{ n: USER, i0: POSTS }]);
+      const { User, Post } = models(sequelize);
+
+      const user = await User.findOne({ include: [{ relationship: 'POSTED', model: Post }], raw: true });
+
+      expect(user.label).toBe('User');
+      expect(user.Posts.map(post => post.id)).toEqual([5, 6]);
+    });
+
+    test('should reject invalid includes', async () => {
+      const sequelize = mockSequelize();
+      const { User, Post } = models(sequelize);
+      const Posted = new GraphModel(sequelize, 'POSTED', {}, { graphName: 'g', type: 'edge' });
+
+      await expect(User.findAll({ include: [{ relationship: 'POSTED]->() DELETE', model: Post }] })).rejects.toThrow('Invalid include relationship');
+      await expect(User.findAll({ include: [{ relationship: 'POSTED', model: Posted }] })).rejects.toThrow('requires a vertex model');
+      await expect(User.findAll({ include: [Post] })).rejects.toThrow('Post is not associated to User; pass "relationship"');
+      await expect(User.findAll({ include: ['Posts'] })).rejects.toThrow('User has no association named Posts');
+      await expect(User.findAll({ include: [{ relationship: 'POSTED', model: Post, as: 'name' }] })).rejects.toThrow('collides with an existing property');
+      await expect(Posted.findAll({ include: [{ relationship: 'X', model: Post }] })).rejects.toThrow('only supported on vertex models');
+      expect(sequelize.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('scopes', () => {
+    function userModel(sequelize) {
+      return new GraphModel(sequelize, 'User', {}, {
+        graphName: 'g',
+        defaultScope: { where: { tenant: 't1' }, order: [['name', 'ASC']] },
+        scopes: {
+          active: { where: { status: 'active' } },
+          recent: { order: [['createdAt', 'DESC']], limit: 10 },
+          status: status => ({ where: { status } })
+        }
+      });
+    }
+
+    test('should apply the default scope to queries', async () => {
+      const sequelize = mockSequelize([{ count: '0' }]);
+      const User = userModel(sequelize);
+
+      await User.findAll({ where: { name: 'Ann' } });
+      await User.count();
+      await User.update({ seen: true }, { where: { tenant: 't2' } });
+      await User.destroy();
+
+      expect(sentQuery(sequelize, 0).sql).toContain('WHERE n.`tenant` = $p0 AND n.`name` = $p1 RETURN n ORDER BY n.`name` ASC $$');
+      expect(sentQuery(sequelize, 1).sql).toContain('WHERE n.`tenant` = $p0 RETURN count(n)');
+      expect(sentQuery(sequelize, 2).params).toEqual({ p0: 't2', p1: true });
+      expect(sentQuery(sequelize, 3).sql).toContain('WHERE n.`tenant` = $p0 DELETE n');
+    });
+
+    test('should merge named scopes like Sequelize', async () => {
+      const sequelize = mockSequelize();
+      const User = userModel(sequelize);
+
+      await User.scope('defaultScope', 'active', 'recent').findAll({ where: { status: 'banned' }, limit: 5 });
+
+      const { sql, params } = sentQuery(sequelize);
+      expect(sql).toContain('WHERE n.`tenant` = $p0 AND n.`status` = $p1 RETURN n ORDER BY n.`name` ASC, n.`createdAt` DESC LIMIT 5 $$');
+      expect(params).toEqual({ p0: 't1', p1: 'banned' });
+    });
+
+    test('should call function scopes and drop scopes with unscoped', async () => {
+      const sequelize = mockSequelize();
+      const User = userModel(sequelize);
+
+      await User.scope({ method: ['status', 'invited'] }).findAll();
+      await User.unscoped().findAll();
+      await User.scope({ where: { vip: true } }).findByPk(3);
+
+      expect(sentQuery(sequelize, 0).sql).toContain('MATCH (n:User) WHERE n.`status` = $p0 RETURN n $$');
+      expect(sequelize.query.mock.calls[1][0]).toContain('$$ MATCH (n:User) RETURN n $$');
+      expect(sentQuery(sequelize, 2).sql).toContain('WHERE id(n) = 3 AND n.`vip` = $p0 RETURN n LIMIT 1');
+      expect(User.scope('active').scope('recent')._scopeNames).toEqual(['recent']);
+      expect(User.scope('active')).toBeInstanceOf(GraphModel);
+    });
+
+    test('should add scopes and reject unknown ones', () => {
+      const User = userModel(mockSequelize());
+
+      User.addScope('admins', { where: { role: 'admin' } });
+      expect(User.scope('admins')._scope).toEqual({ where: { role: 'admin' } });
+      expect(() => User.addScope('admins', {})).toThrow('The scope admins already exists');
+      expect(() => User.scope('missing')).toThrow('Invalid scope missing called on User');
+      expect(() => User.scope({ method: ['active'] })).toThrow('not a function scope');
+    });
+  });
+
+  describe('findAndCountAll and paginate', () => {
+    const vertex = (id, createdAt) => `{"id": ${id}, "label": "Post", "properties": {"createdAt": "${createdAt}"}}::vertex`;
+
+    test('should return the page and the total count in one query', async () => {
+      const sequelize = mockSequelize([{ count: '12', rows: `[[${vertex(1, '2024-01-02')}], [${vertex(2, '2024-01-01')}]]` }]);
+      const Post = new GraphModel(sequelize, 'Post', {}, { graphName: 'g' });
+
+      const { rows, count } = await Post.findAndCountAll({ where: { draft: false }, order: [['createdAt', 'DESC']], limit: 2, offset: 4 });
+
+      expect(sequelize.query).toHaveBeenCalledTimes(1);
+      const { sql } = sentQuery(sequelize);
+      expect(sql).toContain('$$ MATCH (n:Post) WHERE n.`draft` = $p0 WITH n ORDER BY n.`createdAt` DESC '
+        + 'WITH collect([n]) AS rows RETURN size(rows) AS count, rows[4..6] AS rows $$');
+      expect(sql).toContain('as ("count" ag_catalog.agtype, "rows" ag_catalog.agtype)');
+      expect(count).toBe(12);
+      expect(rows.map(row => row.id)).toEqual([1, 2]);
+      expect(rows[0]).toBeInstanceOf(Post.Instance);
+    });
+
+    test('should count edges with their endpoints and includes', async () => {
+      const sequelize = mockSequelize([{ count: '0', rows: '[]' }]);
+      const Knows = new GraphModel(sequelize, 'KNOWS', {}, { graphName: 'g', type: 'edge' });
+      const User = new GraphModel(sequelize, 'User', {}, { graphName: 'g' });
+
+      await expect(Knows.findAndCountAll({ offset: 3 })).resolves.toEqual({ rows: [], count: 0 });
+      await User.findAndCountAll({ include: [{ relationship: 'KNOWS', model: User, as: 'friends' }] });
+
+      expect(sequelize.query.mock.calls[0][0]).toContain('MATCH (a)-[n:KNOWS]->(b) WITH collect([n, a, b]) AS rows RETURN size(rows) AS count, rows[3..] AS rows');
+      expect(sequelize.query.mock.calls[1][0]).toContain('WITH n, collect(DISTINCT i0) AS i0 WITH collect([n, i0]) AS rows RETURN size(rows) AS count, rows AS rows');
+    });
+
+    test('should page with cursors on the sort key and id', async () => {
+      const sequelize = mockSequelize([{ n: vertex(7, '2024-01-03') }, { n: vertex(5, '2024-01-02') }, { n: vertex(4, '2024-01-01') }]);
+      const Post = new GraphModel(sequelize, 'Post', {}, { graphName: 'g' });
+
+      const first = await Post.paginate({ where: { draft: false }, orderBy: [['createdAt', 'DESC']], limit: 2 });
+
+      expect(sentQuery(sequelize, 0).sql).toContain('WHERE n.`draft` = $p0 RETURN n ORDER BY n.`createdAt` DESC, id(n) DESC LIMIT 3 $$');
+      expect(first.rows.map(row => row.id)).toEqual([7, 5]);
+      expect(first.nextCursor).toMatch(/^[A-Za-z0-9_-]+$/);
+
+      sequelize.query.mockResolvedValueOnce([{ n: vertex(4, '2024-01-01') }]);
+      const second = await Post.paginate({ where: { draft: false }, orderBy: [['createdAt', 'DESC']], limit: 2, after: first.nextCursor });
+
+      const { sql, params } = sentQuery(sequelize, 1);
+      expect(sql).toContain('WHERE (n.`createdAt` < $p0 OR (n.`createdAt` = $p0 AND id(n) < 5)) AND n.`draft` = $p1 '
+        + 'RETURN n ORDER BY n.`createdAt` DESC, id(n) DESC LIMIT 3 $$');
+      expect(params).toEqual({ p0: '2024-01-02', p1: false });
+      expect(second.rows.map(row => row.id)).toEqual([4]);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    test('should reject foreign or malformed cursors', async () => {
+      const sequelize = mockSequelize([{ n: vertex(1, 'a') }, { n: vertex(2, 'b') }]);
+      const Post = new GraphModel(sequelize, 'Post', {}, { graphName: 'g' });
+      const { nextCursor } = await Post.paginate({ limit: 1 });
+
+      await expect(Post.paginate({ after: nextCursor, orderBy: 'createdAt' })).rejects.toThrow('Cursor does not match the orderBy');
+      await expect(Post.paginate({ after: 'not a cursor' })).rejects.toThrow('Invalid cursor');
+      const forged = Buffer.from('{"order": [], "values": ["1 OR true"]}').toString('base64url');
+      await expect(Post.paginate({ after: forged })).rejects.toThrow();
+      await expect(Post.paginate({ limit: 0 })).rejects.toThrow('Invalid limit: 0');
+      expect(sequelize.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('hooks', () => {
+    const USER = '{"id": 1, "label": "User", "properties": {"name": "Ann", "password": "secret"}}::vertex';
+
+    test('should let beforeFind change options and afterFind change results', async () => {
+      const sequelize = mockSequelize([{ n: USER }]);
+      const User = new GraphModel(sequelize, 'User', {}, { graphName: 'g' });
+      User.addHook('beforeFind', options => {
+        options.where = { ...options.where, tenant: 't1' };
+      });
+      User.addHook('afterFind', ({ results }) => {
+        results.forEach(user => delete user.dataValues.password);
+      });
+
+      const [user] = await User.findAll({ where: { name: 'Ann' } });
+      const found = await User.findByPk(1);
+
+      expect(sentQuery(sequelize, 0).sql).toContain('WHERE n.`name` = $p0 AND n.`tenant` = $p1 RETURN n');
+      expect(sentQuery(sequelize, 1).sql).toContain('WHERE id(n) = 1 AND n.`tenant` = $p0 RETURN n LIMIT 1');
+      expect(user.toJSON()).toEqual({ id: 1, name: 'Ann' });
+      expect(found.password).toBeUndefined();
+    });
+
+    test('should run find hooks for findAndCountAll and paginate', async () => {
+      const sequelize = mockSequelize([{ count: '1', rows: `[[${USER}]]` }]);
+      const User = new GraphModel(sequelize, 'User', {}, { graphName: 'g' });
+      const afterFind = jest.fn(hookData => {
+        hookData.results = hookData.results.map(user => user.get('name'));
+      });
+      User.addHook('afterFind', afterFind);
+
+      await expect(User.findAndCountAll()).resolves.toEqual({ rows: ['Ann'], count: 1 });
+      sequelize.query.mockResolvedValueOnce([{ n: USER }]);
+      await expect(User.paginate({ limit: 5 })).resolves.toEqual({ rows: ['Ann'], nextCursor: null });
+      expect(afterFind).toHaveBeenCalledTimes(2);
+    });
+
+    test('should run find hooks for findOrCreate and reload but not upsert', async () => {
+      const sequelize = mockSequelize([{ n: USER, created: 'false' }]);
+      const User = new GraphModel(sequelize, 'User', {}, { graphName: 'g' });
+      User.addHook('beforeFind', options => {
+        options.defaults = { ...options.defaults, tenant: 't1' };
+      });
+      const afterFind = jest.fn(({ results }) => {
+        results.forEach(user => delete (user.dataValues || user.properties).password);
+      });
+      User.addHook('afterFind', afterFind);
+
+      const [user, created] = await User.findOrCreate({ where: { name: 'Ann' } });
+      expect(sentQuery(sequelize).params).toEqual({ p0: 'Ann', p1: 't1' });
+      expect(created).toBe(false);
+      expect(user.password).toBeUndefined();
+
+      sequelize.query.mockResolvedValueOnce([{ n: USER }]);
+      await user.reload({ transaction: 'tx' });
+      expect(user.password).toBeUndefined();
+      expect(afterFind).toHaveBeenLastCalledWith({ results: [expect.any(Vertex)], options: expect.objectContaining({ transaction: 'tx', raw: true }) }, User);
+
+      await User.upsert({ name: 'Ann' }, { conflictKeys: ['name'] });
+      expect(afterFind).toHaveBeenCalledTimes(2);
+    });
+
+    test('should run validate hooks around validation', async () => {
+      const sequelize = mockSequelize([{ n: USER }]);
+      const User = new GraphModel(sequelize, 'User', { name: { type: String, allowNull: false }, email: String }, { graphName: 'g' });
+      User.addHook('beforeValidate', hookData => {
+        hookData.properties.email = hookData.properties.email.trim().toLowerCase();
+      });
+      const afterValidate = jest.fn();
+      User.addHook('afterValidate', afterValidate);
+
+      await User.create({ name: 'Ann', email: ' Ann@X.io ' });
+
+      expect(sentQuery(sequelize).params).toEqual({ p0: 'Ann', p1: 'ann@x.io' });
+      expect(afterValidate).toHaveBeenCalledWith({ properties: { name: 'Ann', email: 'ann@x.io' }, options: { isNewRecord: true } }, User);
+      await expect(User.create({ email: 'b@x.io' })).rejects.toThrow(ValidationError);
+      expect(afterValidate).toHaveBeenCalledTimes(1);
+    });
+
+    test('should run bulk create hooks', async () => {
+      const sequelize = mockSequelize([{ n: USER }]);
+      const User = new GraphModel(sequelize, 'User', {}, { graphName: 'g' });
+      User.addHook('beforeBulkCreate', hookData => {
+        hookData.rows = hookData.rows.filter(row => row.name);
+      });
+      const afterBulkCreate = jest.fn();
+      User.addHook('afterBulkCreate', afterBulkCreate);
+
+      await User.bulkCreate([{ name: 'Ann' }, {}]);
+
+      expect(sentQuery(sequelize).params.rows).toEqual([{ name: 'Ann' }]);
+      expect(afterBulkCreate).toHaveBeenCalledWith({ rows: [expect.any(User.Instance)], options: {} }, User);
+    });
+
+    test('should run global registry hooks after model hooks', async () => {
+      const sequelize = mockSequelize([{ n: USER }]);
+      const registry = new ModelRegistry(sequelize, 'g');
+      const calls = [];
+      const User = registry.define('User');
+      registry.addHook('afterFind', (hookData, model) => calls.push(`global:${model.label}`));
+      User.addHook('afterFind', () => calls.push('model'));
+
+      await User.findAll();
+      await registry.define('Post').findAll();
+
+      expect(calls).toEqual(['model', 'global:User', 'global:Post']);
+    });
+
+    test('should reject unknown hook types', () => {
+      const User = new GraphModel(mockSequelize(), 'User', {}, { graphName: 'g' });
+      const registry = new ModelRegistry(mockSequelize());
+
+      expect(() => User.addHook('beforeSave', () => {})).toThrow('Unknown hook type: beforeSave');
+      expect(() => registry.addHook('afterFnd', () => {})).toThrow('Unknown hook type: afterFnd');
+      expect(() => User.addHook('afterFind')).toThrow('Hook afterFind must be a function');
+    });
+  });
+});
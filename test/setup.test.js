@@ -0,0 +1,112 @@
+/**
+ * Tests for database setup
+ */
+
+const { SetupManager } = require('../src/setup');
+
+/**
+ * Build a Sequelize stub whose catalog reflects the given database state
+ */
+function mockSequelize({ available = true, installed = false, graphs = [] } = {}) {
+  const query = jest.fn(async (sql) => {
+    if (sql.includes('pg_available_extensions')) {
+      return available ? [{ name: 'age', installed_version: installed ? '1.5.0' : null }] : [];
+    }
+    if (sql.includes('ag_catalog.ag_graph')) {
+      return graphs.map(name => ({ name }));
+    }
+    return [];
+  });
+
+  return {
+    query,
+    addHook: jest.fn(),
+    removeHook: jest.fn(),
+    QueryTypes: { SELECT: 'SELECT' }
+  };
+}
+
+describe('SetupManager', () => {
+  test('should create extension and graph on a fresh database', async () => {
+    const sequelize = mockSequelize();
+    const setup = new SetupManager(sequelize, 'my_graph');
+
+    const report = await setup.bootstrap();
+
+    const statements = sequelize.query.mock.calls.map(call => call[0]);
+    expect(statements).toContain('CREATE EXTENSION IF NOT EXISTS age;');
+    expect(statements).toContain('LOAD \'age\';');
+    expect(statements).toContain('SET search_path = ag_catalog, "$user", public;');
+    expect(statements).toContain('SELECT ag_catalog.create_graph($1);');
+    expect(report).toEqual({
+      graphName: 'my_graph',
+      extensionCreated: true,
+      extensionLoaded: true,
+      searchPath: 'ag_catalog, "$user", public',
+      graphCreated: true
+    });
+  });
+
+  test('should skip steps that are already done', async () => {
+    const sequelize = mockSequelize({ installed: true, graphs: ['my_graph'] });
+    const setup = new SetupManager(sequelize, 'my_graph');
+
+    const report = await setup.bootstrap();
+
+    const statements = sequelize.query.mock.calls.map(call => call[0]);
+    expect(statements).not.toContain('CREATE EXTENSION IF NOT EXISTS age;');
+    expect(statements).not.toContain('SELECT ag_catalog.create_graph($1);');
+    expect(report.extensionCreated).toBe(false);
+    expect(report.graphCreated).toBe(false);
+  });
+
+  test('should fail clearly when AGE is not installed', async () => {
+    const setup = new SetupManager(mockSequelize({ available: false }), 'my_graph');
+    await expect(setup.bootstrap()).rejects.toThrow('Apache AGE extension is not installed');
+  });
+
+  test('should not create graph when createGraph is disabled', async () => {
+    const setup = new SetupManager(mockSequelize({ installed: true }), 'my_graph');
+    await expect(setup.bootstrap({ createGraph: false })).rejects.toThrow('Graph "my_graph" does not exist');
+  });
+
+  test('should reject invalid graph names', async () => {
+    const setup = new SetupManager(mockSequelize(), 'my-graph');
+    await expect(setup.bootstrap()).rejects.toThrow('Invalid graph name');
+  });
+
+  describe('connection hooks', () => {
+    test('should prepare each new connection', async () => {
+      const sequelize = mockSequelize();
+      new SetupManager(sequelize, 'my_graph').registerConnectionHooks();
+
+      const [hookType, , hook] = sequelize.addHook.mock.calls[0];
+      const connection = { query: jest.fn().mockResolvedValue({}) };
+      await hook(connection, {});
+
+      expect(hookType).toBe('afterConnect');
+      expect(connection.query.mock.calls.map(call => call[0])).toEqual([
+        'LOAD \'age\';',
+        'SET search_path = ag_catalog, "$user", public;'
+      ]);
+    });
+
+    test('should replace a previously registered hook', () => {
+      const sequelize = mockSequelize();
+      new SetupManager(sequelize, 'my_graph').registerConnectionHooks();
+
+      const [, hookName] = sequelize.addHook.mock.calls[0];
+      expect(sequelize.removeHook).toHaveBeenCalledWith('afterConnect', hookName);
+    });
+
+    test('should skip LOAD when the extension is preloaded', async () => {
+      const setup = new SetupManager(mockSequelize(), 'my_graph', { skipLoad: true });
+      const connection = { query: jest.fn().mockResolvedValue({}) };
+
+      await setup.prepareConnection(connection);
+
+      expect(connection.query).toHaveBeenCalledTimes(1);
+      expect(connection.query.mock.calls[0][0]).toContain('SET search_path');
+    });
+  });
+});
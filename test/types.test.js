@@ -2,7 +2,10 @@
  * Tests for Apache AGE data types
  */
 
-const { DataTypes, VERTEX, EDGE, PATH, AGTYPE } = require('../src/types');
+const { DataTypes: SequelizeDataTypes } = require('sequelize');
+const PostgresConnectionManager = require('sequelize/lib/dialects/postgres/connection-manager');
+const { initApacheAGE } = require('../src');
+const { VERTEX, EDGE, PATH, AGTYPE, Vertex, Edge, Path, registerDataTypes } = require('../src/types');
 
 describe('Apache AGE Data Types', () => {
   describe('VERTEX', () => {
@@ -21,7 +24,8 @@ describe('Apache AGE Data Types', () => {
       expect(vertex.label).toBe('Person');
       expect(vertex.properties.name).toBe('John');
       expect(vertex.properties.age).toBe(30);
-      expect(vertex._type).toBe('vertex');
+      expect(vertex).toBeInstanceOf(Vertex);
+      expect(vertex.id).toBeNull();
     });
 
     test('should parse vertex from string', () => {
@@ -32,6 +36,29 @@ describe('Apache AGE Data Types', () => {
     });
   });
 
+  describe('Graph element classes', () => {
+    test('should compare elements by id', () => {
+      expect(new Vertex(1, 'A').equals(new Vertex('1', 'A', { changed: true }))).toBe(true);
+      expect(new Vertex(1n, 'A').equals(new Vertex(2n, 'A'))).toBe(false);
+      expect(new Vertex(1, 'A').equals(new Edge(1, 'A', 1, 2))).toBe(false);
+      expect(VERTEX.create('A').equals(VERTEX.create('A'))).toBe(false);
+    });
+
+    test('should serialize to plain objects', () => {
+      const edge = new Edge(3, 'KNOWS', 1, 2, { since: 2020 });
+      expect(JSON.parse(JSON.stringify(edge))).toEqual({
+        id: 3,
+        label: 'KNOWS',
+        startId: 1,
+        endId: 2,
+        properties: { since: 2020 }
+      });
+
+      const path = PATH.create([new Vertex(1, 'A'), new Vertex(2, 'A')], [edge]);
+      expect(path.toJSON()).toHaveLength(3);
+    });
+  });
+
   describe('EDGE', () => {
     test('should create edge instance', () => {
       const edge = new EDGE();
@@ -46,14 +73,31 @@ describe('Apache AGE Data Types', () => {
     test('should create edge object', () => {
       const edge = EDGE.create('KNOWS', 1, 2, { since: 2020 });
       expect(edge.label).toBe('KNOWS');
-      expect(edge.start_id).toBe(1);
-      expect(edge.end_id).toBe(2);
+      expect(edge.startId).toBe(1);
+      expect(edge.endId).toBe(2);
       expect(edge.properties.since).toBe(2020);
-      expect(edge._type).toBe('edge');
+      expect(edge).toBeInstanceOf(Edge);
     });
   });
 
   describe('PATH', () => {
+    test('should parse path into alternating vertices and edges', () => {
+      const raw = '[{"id": 1, "label": "Person", "properties": {}}::vertex, ' +
+        '{"id": 3, "label": "KNOWS", "end_id": 2, "start_id": 1, "properties": {}}::edge, ' +
+        '{"id": 2, "label": "Person", "properties": {}}::vertex]::path';
+      const path = PATH.parse(raw);
+
+      expect(path).toBeInstanceOf(Path);
+      expect(path.vertices().map(v => v.id)).toEqual([1, 2]);
+      expect(path.edges().map(e => e.id)).toEqual([3]);
+      expect(path.edges()[0]).toBeInstanceOf(Edge);
+      expect(path.length).toBe(1);
+    });
+
+    test('should reject invalid path text', () => {
+      expect(() => PATH.parse('[{"id": 1}::vertex')).toThrow(SyntaxError);
+    });
+
     test('should create path instance', () => {
       const path = new PATH();
       expect(path.type).toBe('PATH');
@@ -65,12 +109,13 @@ describe('Apache AGE Data Types', () => {
     });
 
     test('should create path object', () => {
-      const vertices = [{ id: 1 }, { id: 2 }];
-      const edges = [{ id: 1, start: 1, end: 2 }];
+      const vertices = [new Vertex(1, 'Person'), new Vertex(2, 'Person')];
+      const edges = [new Edge(3, 'KNOWS', 1, 2)];
       const path = PATH.create(vertices, edges);
-      expect(path.vertices).toEqual(vertices);
-      expect(path.edges).toEqual(edges);
-      expect(path._type).toBe('path');
+      expect(path.vertices()).toEqual(vertices);
+      expect(path.edges()).toEqual(edges);
+      expect(path.elements).toEqual([vertices[0], edges[0], vertices[1]]);
+      expect(path).toBeInstanceOf(Path);
     });
   });
 
@@ -91,10 +136,182 @@ describe('Apache AGE Data Types', () => {
       expect(parsed.key).toBe('value');
     });
 
+    test('should parse annotated vertex', () => {
+      const parsed = AGTYPE.parse('{"id": 844424930131969, "label": "User", "properties": {"name": "John"}}::vertex');
+      expect(parsed).toBeInstanceOf(Vertex);
+      expect(parsed.toJSON()).toEqual({
+        id: 844424930131969,
+        label: 'User',
+        properties: { name: 'John' }
+      });
+    });
+
+    test('should parse annotated edge', () => {
+      const parsed = AGTYPE.parse('{"id": 1125899906842625, "label": "KNOWS", "end_id": 2, "start_id": 1, "properties": {}}::edge');
+      expect(parsed).toBeInstanceOf(Edge);
+      expect(parsed.startId).toBe(1);
+      expect(parsed.endId).toBe(2);
+    });
+
+    test('should parse annotated numbers and special floats', () => {
+      expect(AGTYPE.parse('1.50::numeric')).toBe(1.5);
+      expect(AGTYPE.parse('NaN')).toBeNaN();
+      expect(AGTYPE.parse('Infinity')).toBe(Infinity);
+      expect(AGTYPE.parse('-Infinity::float')).toBe(-Infinity);
+      expect(AGTYPE.parse('[1, 2.5, NaN::numeric]')).toEqual([1, 2.5, NaN]);
+    });
+
+    test('should not treat annotations inside strings as types', () => {
+      const parsed = AGTYPE.parse('{"note": "a \\"quoted\\" ::vertex"}');
+      expect(parsed.note).toBe('a "quoted" ::vertex');
+    });
+
+    test('should parse collected vertices', () => {
+      const parsed = AGTYPE.parse('[{"id": 1, "label": "A", "properties": {}}::vertex, {"id": 2, "label": "A", "properties": {}}::vertex]');
+      expect(parsed.every(v => v instanceof Vertex)).toBe(true);
+    });
+
+    test('should return graph ids as BigInt without precision loss', () => {
+      const raw = '{"id": 18446462598732840961, "label": "KNOWS", "end_id": 18446462598732840962, ' +
+        '"start_id": 844424930131969, "properties": {"id": 7}}::edge';
+      const parsed = AGTYPE.parse(raw, { idType: 'bigint' });
+
+      expect(parsed.id).toBe(18446462598732840961n);
+      expect(parsed.startId).toBe(844424930131969n);
+      expect(parsed.endId).toBe(18446462598732840962n);
+      expect(parsed.properties.id).toBe(7);
+    });
+
+    test('should return graph ids as strings', () => {
+      const parsed = AGTYPE.parse('{"id": 18446462598732840961, "label": "User", "properties": {}}::vertex', { idType: 'string' });
+      expect(parsed.id).toBe('18446462598732840961');
+    });
+
+    test('should return unparseable strings unchanged', () => {
+      expect(AGTYPE.parse('not agtype')).toBe('not agtype');
+    });
+
     test('should stringify object', () => {
       const obj = { key: 'value' };
       const stringified = AGTYPE.stringify(obj);
       expect(stringified).toBe('{"key":"value"}');
     });
+
+    test('should stringify BigInt values as integers', () => {
+      expect(AGTYPE.stringify({ id: 18446462598732840961n })).toBe('{"id":18446462598732840961}');
+    });
+
+    test('should stringify scalars as agtype', () => {
+      expect(AGTYPE.stringify('it\'s "quoted"')).toBe('"it\'s \\"quoted\\""');
+      expect(AGTYPE.stringify(42)).toBe('42');
+      expect(AGTYPE.stringify(-Infinity)).toBe('-Infinity');
+      expect(AGTYPE.stringify(null)).toBe('null');
+    });
+  });
+
+  describe('Sequelize integration', () => {
+    test('should be Sequelize data types', () => {
+      [VERTEX, EDGE, PATH, AGTYPE].forEach(DataType => {
+        const type = new DataType();
+        expect(type).toBeInstanceOf(SequelizeDataTypes.ABSTRACT);
+        expect(type).toBeInstanceOf(DataType);
+        expect(type.key).toBe(type.type);
+        expect(String(type)).toBe('ag_catalog.agtype');
+      });
+    });
+
+    test('should stringify values on write', () => {
+      const type = new AGTYPE();
+      const vertex = new Vertex(1, 'User', { name: 'Ann' });
+      expect(type.stringify(vertex)).toBe('{"id":1,"label":"User","properties":{"name":"Ann"}}');
+      expect(type.stringify('text')).toBe('"text"');
+
+      const bind = [];
+      const placeholder = type.bindParam({ tags: ['a'] }, {
+        bindParam: value => bind.push(value) && `$${bind.length}`
+      });
+      expect(placeholder).toBe('$1');
+      expect(bind).toEqual(['{"tags":["a"]}']);
+    });
+
+    /**
+     * A postgres connection manager before its first connection, without pg
+     */
+    function connectionManager() {
+      const manager = Object.create(PostgresConnectionManager.prototype);
+      manager.dialectName = 'postgres';
+      manager.nameOidMap = {};
+      manager.enumOids = { oids: [], arrayOids: [] };
+      manager.oidParserMap = new Map();
+      return manager;
+    }
+
+    // What Sequelize does once the first connection has looked up the oids
+    function connect(manager) {
+      manager.nameOidMap = { agtype: { oid: 7001 } };
+      manager.refreshTypeParser(SequelizeDataTypes.postgres);
+    }
+
+    const VERTEX_TEXT = '{"id": 9007199254740993, "label": "Person", "properties": {}}::vertex';
+
+    test('should register the agtype parser with the idType', () => {
+      const manager = connectionManager();
+      registerDataTypes({ connectionManager: manager }, { idType: 'bigint' });
+      connect(manager);
+
+      const vertex = manager.getTypeParser(7001)(VERTEX_TEXT);
+      expect(vertex).toBeInstanceOf(Vertex);
+      expect(vertex.id).toBe(9007199254740993n);
+    });
+
+    test('should refresh the parser when already connected', () => {
+      const manager = connectionManager();
+      connect(manager);
+      registerDataTypes({ connectionManager: manager }, { idType: 'string' });
+
+      expect(manager.getTypeParser(7001)(VERTEX_TEXT).id).toBe('9007199254740993');
+
+      registerDataTypes({ connectionManager: manager });
+      expect(manager.getTypeParser(7001)(VERTEX_TEXT).id).toBe(9007199254740992);
+    });
+
+    test('should keep the global Sequelize data types untouched', () => {
+      registerDataTypes({ connectionManager: connectionManager() });
+      expect(SequelizeDataTypes.postgres.AGTYPE).toBeUndefined();
+    });
+
+    test('should not parse driver-parsed strings again', async () => {
+      const manager = connectionManager();
+      const sequelize = {
+        connectionManager: manager,
+        QueryTypes: { SELECT: 'SELECT' },
+        query: jest.fn(async () => ['"42"', '"true"', '"02134"'].map(zip => ({ zip: manager.getTypeParser(7001)(zip) })))
+      };
+      const age = initApacheAGE(sequelize, { sessionSetup: false });
+      connect(manager);
+
+      await expect(age.executeCypher('MATCH (n) RETURN n.zip')).resolves.toEqual(['42', 'true', '02134']);
+    });
+
+    test('should keep cypher ids precise through the registered parser', async () => {
+      const manager = connectionManager();
+      const sequelize = {
+        connectionManager: manager,
+        QueryTypes: { SELECT: 'SELECT' },
+        query: jest.fn(async () => [{ n: manager.getTypeParser(7001)(VERTEX_TEXT) }])
+      };
+      const age = initApacheAGE(sequelize, { idType: 'bigint', sessionSetup: false });
+      connect(manager);
+
+      const [vertex] = await age.executeCypher('MATCH (n) RETURN n');
+
+      expect(vertex.id).toBe(9007199254740993n);
+    });
+
+    test('should skip the parser refresh for other dialects', () => {
+      const manager = { dialectName: 'sqlite', refreshTypeParser: jest.fn() };
+      registerDataTypes({ connectionManager: manager });
+      expect(manager.refreshTypeParser).not.toHaveBeenCalled();
+    });
   });
 });
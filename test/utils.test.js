@@ -2,7 +2,10 @@
  * Tests for graph utilities
  */
 
+const PostgresQuery = require('sequelize/lib/dialects/postgres/query');
 const { GraphUtils } = require('../src/utils');
+const { Relationships } = require('../src/relationships');
+const { Vertex, Edge, Path } = require('../src/types');
 
 describe('GraphUtils', () => {
   describe('parseAGEResult', () => {
@@ -13,6 +16,13 @@ describe('GraphUtils', () => {
       expect(parsed[0].id).toBe(1);
     });
 
+    test('should parse AGE vertex output', () => {
+      const results = ['{"id": 844424930131969, "label": "User", "properties": {"name": "John"}}::vertex'];
+      const parsed = GraphUtils.parseAGEResult(results);
+      expect(parsed[0]).toBeInstanceOf(Vertex);
+      expect(parsed[0].properties.name).toBe('John');
+    });
+
     test('should handle non-array input', () => {
       const parsed = GraphUtils.parseAGEResult('not an array');
       expect(parsed).toEqual([]);
@@ -22,36 +32,62 @@ describe('GraphUtils', () => {
   describe('extractVertices', () => {
     test('should extract vertices from results', () => {
       const results = [
-        { _type: 'vertex', id: 1, label: 'Person' },
-        { _type: 'edge', id: 2 }
+        new Vertex(1, 'Person'),
+        new Edge(2, 'KNOWS', 1, 3),
+        { _type: 'vertex', id: 4 }
       ];
       const vertices = GraphUtils.extractVertices(results);
       expect(vertices).toHaveLength(1);
-      expect(vertices[0]._type).toBe('vertex');
+      expect(vertices[0]).toBeInstanceOf(Vertex);
+    });
+
+    test('should extract vertices from multi-column rows and lists', () => {
+      const results = [
+        { a: new Vertex(1, 'Person'), friends: [new Vertex(2, 'Person'), new Vertex(3, 'Person')] },
+        [new Vertex(4, 'Person')]
+      ];
+      const vertices = GraphUtils.extractVertices(results);
+      expect(vertices.map(v => v.id)).toEqual([1, 2, 3, 4]);
     });
   });
 
   describe('extractEdges', () => {
     test('should extract edges from results', () => {
       const results = [
-        { _type: 'vertex', id: 1 },
-        { _type: 'edge', id: 2, label: 'KNOWS' }
+        new Vertex(1, 'Person'),
+        new Edge(2, 'KNOWS', 1, 3)
       ];
       const edges = GraphUtils.extractEdges(results);
       expect(edges).toHaveLength(1);
-      expect(edges[0]._type).toBe('edge');
+      expect(edges[0]).toBeInstanceOf(Edge);
     });
   });
 
   describe('extractPaths', () => {
     test('should extract paths from results', () => {
       const results = [
-        { _type: 'path', vertices: [], edges: [] },
-        { _type: 'vertex', id: 1 }
+        new Path([new Vertex(1, 'Person')]),
+        new Vertex(1, 'Person')
       ];
       const paths = GraphUtils.extractPaths(results);
       expect(paths).toHaveLength(1);
-      expect(paths[0]._type).toBe('path');
+      expect(paths[0]).toBeInstanceOf(Path);
+    });
+  });
+
+  describe('Graph ids', () => {
+    test('should format BigInt and string ids without precision loss', () => {
+      expect(GraphUtils.formatVertexId(18446462598732840961n)).toBe('18446462598732840961');
+      expect(GraphUtils.formatEdgeId('18446462598732840961')).toBe('18446462598732840961');
+      expect(GraphUtils.resolveId({ id: 844424930131969n })).toBe('844424930131969');
+    });
+
+    test('should reject ids that already lost precision', () => {
+      expect(() => GraphUtils.formatVertexId(2 ** 64)).toThrow('not a safe integer');
+    });
+
+    test('should reject non-integer ids', () => {
+      expect(() => GraphUtils.formatVertexId('1 OR 1=1')).toThrow('Invalid graph id');
     });
   });
 
@@ -79,13 +115,75 @@ describe('GraphUtils', () => {
       expect(ageQuery).toContain('ag_catalog.cypher');
       expect(ageQuery).toContain('my_graph');
       expect(ageQuery).toContain('MATCH (n) RETURN n');
+      expect(ageQuery).toContain('as ("n" ag_catalog.agtype)');
     });
 
-    test('should escape single quotes in query', () => {
-      const cypherQuery = "MATCH (n {name: 'John'}) RETURN n";
+    test('should pass single quotes through unchanged', () => {
+      const cypherQuery = 'MATCH (n {name: \'John\'}) RETURN n';
       const ageQuery = GraphUtils.buildAGEQuery('my_graph', cypherQuery);
-      
-      expect(ageQuery).toContain("''");
+
+      expect(ageQuery).toContain('$$ MATCH (n {name: \'John\'}) RETURN n $$');
+    });
+
+    test('should pick another dollar quote when the body contains $$', () => {
+      const cypherQuery = 'CREATE (n {name: "x$$) as (r agtype); DROP TABLE users; --"}) RETURN n';
+
+      expect(GraphUtils.buildAGEQuery('g', cypherQuery))
+        .toBe(`SELECT * FROM ag_catalog.cypher('g', $cypher$ ${cypherQuery} $cypher$) as ("n" ag_catalog.agtype);`);
+      expect(GraphUtils.buildAGEQuery('g', 'RETURN "$$ $cypher$" AS v')).toContain('$cypher1$ RETURN "$$ $cypher$" AS v $cypher1$');
+    });
+
+    test('should keep the dollar quote intact through Sequelize bind parameters', () => {
+      const ageQuery = GraphUtils.buildAGEQuery('g', 'CREATE (n {a: "$$", b: $p0}) RETURN n', { params: true });
+      const [sql] = PostgresQuery.formatBindParameters(ageQuery, ['{"p0": 1}'], 'postgres');
+
+      expect(sql).toContain('$cypher$ CREATE (n {a: "$$", b: $p0}) RETURN n $cypher$, $1)');
+    });
+  });
+
+  describe('getReturnColumns', () => {
+    test('should derive columns from RETURN variables', () => {
+      const query = Relationships.buildQuery('Person', 'KNOWS', 'Person');
+      expect(GraphUtils.getReturnColumns(query)).toEqual(['from', 'rel', 'to']);
+    });
+
+    test('should use aliases and name expressions', () => {
+      const query = 'MATCH (n) RETURN DISTINCT n.name, count(n) AS total, collect({a: 1, b: 2}) ORDER BY total LIMIT 5';
+      expect(GraphUtils.getReturnColumns(query)).toEqual(['n_name', 'total', 'collect_a_1_b_2']);
+    });
+
+    test('should ignore RETURN inside strings and nested expressions', () => {
+      const query = 'MATCH (n {note: "RETURN x, y"}) WITH n RETURN n';
+      expect(GraphUtils.getReturnColumns(query)).toEqual(['n']);
+    });
+
+    test('should default to a single result column', () => {
+      expect(GraphUtils.getReturnColumns('CREATE (n:Person)')).toEqual(['result']);
+    });
+
+    test('should keep column names unique', () => {
+      expect(GraphUtils.getReturnColumns('MATCH (a), (b) RETURN a.name, a_name')).toEqual(['a_name', 'a_name_2']);
+    });
+
+    test('should reject RETURN *', () => {
+      expect(() => GraphUtils.getReturnColumns('MATCH (n) RETURN *')).toThrow('RETURN *');
+    });
+  });
+
+  describe('parseAGERows', () => {
+    test('should unwrap single-column rows', () => {
+      const rows = [{ n: '{"id": 1, "label": "A", "properties": {}}::vertex' }];
+      expect(GraphUtils.parseAGERows(rows)[0].id).toBe(1);
+    });
+
+    test('should key multi-column rows by alias', () => {
+      const rows = [{ name: '"Alice"', total: '3' }];
+      expect(GraphUtils.parseAGERows(rows)).toEqual([{ name: 'Alice', total: 3 }]);
+    });
+
+    test('should keep values the driver already parsed', () => {
+      const rows = [{ name: '42', total: 3 }];
+      expect(GraphUtils.parseAGERows(rows, { parsed: true })).toEqual([{ name: '42', total: 3 }]);
     });
   });
 
@@ -0,0 +1,115 @@
+/**
+ * Tests for attribute validation
+ */
+
+const { DataTypes } = require('sequelize');
+const { Validation, ValidationError } = require('../src/validation');
+const { DataTypes: GraphDataTypes } = require('../src/types');
+
+describe('Validation', () => {
+  describe('normalizeAttributes', () => {
+    test('should accept constructors, data types, names and specs', () => {
+      const definitions = Validation.normalizeAttributes({
+        name: String,
+        age: DataTypes.INTEGER,
+        score: 'number',
+        tags: { type: Array, allowNull: false, defaultValue: () => [] },
+        payload: GraphDataTypes.AGTYPE,
+        anything: {}
+      });
+
+      expect(definitions.name).toEqual({ type: 'string', allowNull: true, validate: {} });
+      expect(definitions.age.type).toBe('integer');
+      expect(definitions.score.type).toBe('number');
+      expect(definitions.tags.type).toBe('array');
+      expect(definitions.tags.allowNull).toBe(false);
+      expect(definitions.payload.type).toBe('any');
+      expect(definitions.anything.type).toBe('any');
+    });
+
+    test('should reject unsupported types', () => {
+      expect(() => Validation.normalizeAttributes({ a: Symbol })).toThrow('Unsupported type for attribute "a"');
+    });
+  });
+
+  describe('coerce', () => {
+    test('should coerce values to the declared type', () => {
+      expect(Validation.coerce(5, 'string')).toBe('5');
+      expect(Validation.coerce('42', 'integer')).toBe(42);
+      expect(Validation.coerce('1.5', 'number')).toBe(1.5);
+      expect(Validation.coerce('false', 'boolean')).toBe(false);
+      expect(Validation.coerce(new Date(0), 'date')).toBe('1970-01-01T00:00:00.000Z');
+      expect(Validation.coerce(12n, 'integer')).toBe(12n);
+    });
+
+    test('should reject values that do not fit the type', () => {
+      expect(() => Validation.coerce('abc', 'number')).toThrow('"abc" is not a valid number');
+      expect(() => Validation.coerce(1.5, 'integer')).toThrow('not a valid integer');
+      expect(() => Validation.coerce('yes', 'boolean')).toThrow('not a valid boolean');
+      expect(() => Validation.coerce('not a date', 'date')).toThrow('not a valid date');
+      expect(() => Validation.coerce({}, 'string')).toThrow('not a valid string');
+    });
+  });
+
+  describe('validate', () => {
+    const definitions = Validation.normalizeAttributes({
+      email: { type: String, allowNull: false, validate: { isEmail: true } },
+      name: { type: String, validate: { len: [2, 10] } },
+      role: { type: String, defaultValue: 'member', validate: { isIn: [['member', 'admin']] } },
+      age: { type: Number, validate: { min: 0, max: { args: 150, msg: 'Too old' } } },
+      code: {
+        type: String,
+        validate: {
+          startsWithX(value) {
+            if (!value.startsWith('X')) {
+              throw new Error('Code must start with X');
+            }
+          }
+        }
+      }
+    });
+
+    test('should apply defaults and coerce values for new records', async () => {
+      const values = await Validation.validate(definitions, { email: 'a@b.co', age: '30' }, { isNewRecord: true });
+      expect(values).toEqual({ email: 'a@b.co', age: 30, role: 'member' });
+    });
+
+    test('should list every failure', async () => {
+      const error = await Validation.validate(definitions, {
+        name: 'x',
+        role: 'owner',
+        age: 200,
+        code: 'Y1',
+        emial: 'typo@example.com'
+      }, { isNewRecord: true, modelName: 'User' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.errors.map(e => `${e.path}:${e.validatorKey}`)).toEqual([
+        'emial:attribute',
+        'email:allowNull',
+        'name:len',
+        'role:isIn',
+        'age:max',
+        'code:startsWithX'
+      ]);
+      expect(error.get('email')[0].message).toBe('User.email cannot be null');
+      expect(error.get('age')[0].message).toBe('Too old');
+      expect(error.get('code')[0].message).toBe('Code must start with X');
+      expect(error.message).toContain('Validation error: emial is not a defined attribute of User');
+    });
+
+    test('should only check given properties for updates', async () => {
+      await expect(Validation.validate(definitions, { age: 5 })).resolves.toEqual({ age: 5 });
+      await expect(Validation.validate(definitions, { email: null })).rejects.toThrow('Model.email cannot be null');
+    });
+
+    test('should allow undefined properties when not strict', async () => {
+      await expect(Validation.validate(definitions, { extra: 1 }, { strict: false })).resolves.toEqual({ extra: 1 });
+    });
+
+    test('should reject unknown validators', async () => {
+      const defs = Validation.normalizeAttributes({ a: { type: String, validate: { isShiny: true } } });
+      await expect(Validation.validate(defs, { a: 'x' })).rejects.toThrow('Unknown validator "isShiny"');
+    });
+  });
+});